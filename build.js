@@ -2,10 +2,11 @@
 
 /**
  * Build script for js-cookie-consent
- * Minifies JavaScript and CSS files
+ * Minifies JavaScript and CSS files, and builds the ES module and CommonJS entries
  */
 
 const { execSync } = require('child_process');
+const esbuild = require('esbuild');
 const fs = require('fs');
 const path = require('path');
 
@@ -18,10 +19,28 @@ if (!fs.existsSync(distDir)) {
     console.log('✓ Created dist directory');
 }
 
+// Core library and optional modules
+const scripts = ['ccmanager', 'ccmanager-tcf', 'ccmanager-hub', 'ccmanager-debug'];
+
+// Sources of the module entries, besides the core
+const modules = ['adapters/react', 'adapters/vue', 'server', 'testing'];
+
+// Stop before writing anything if an input is missing, rather than publishing a partial dist
+const inputs = scripts.concat(modules).map(name => `src/${name}.js`).concat('src/ccmanager.css');
+const missing = inputs.filter(file => !fs.existsSync(path.join(__dirname, file)));
+
+if (missing.length > 0) {
+    console.error(`✗ Missing build inputs: ${missing.join(', ')}`);
+    process.exit(1);
+}
+
 // Minify JavaScript
 console.log('→ Minifying JavaScript...');
 try {
-    execSync('npx terser src/ccmanager.js -c -m --comments false -o dist/ccmanager.min.js', { stdio: 'inherit' });
+    scripts.forEach(name => {
+        // The minified build leaves out the debug logging, the unminified files keep it
+        execSync(`npx terser src/${name}.js -c -m --comments false --define COOKIE_CONSENT_DEBUG=false -o dist/${name}.min.js`, { stdio: 'inherit' });
+    });
     console.log('✓ JavaScript minified');
 } catch (error) {
     console.error('✗ Failed to minify JavaScript');
@@ -40,10 +59,58 @@ try {
 
 // Copy unminified files to dist
 console.log('→ Copying source files...');
-fs.copyFileSync('src/ccmanager.js', 'dist/ccmanager.js');
+scripts.forEach(name => fs.copyFileSync(`src/${name}.js`, `dist/${name}.js`));
 fs.copyFileSync('src/ccmanager.css', 'dist/ccmanager.css');
 console.log('✓ Source files copied');
 
+// Build the module entries around the core
+// Outside a browser src/ccmanager.js exports the factory its browser build calls, so the entry calls it the same way
+console.log('→ Building ES module and CommonJS entries...');
+try {
+    const factory = require('./src/ccmanager.js');
+
+    if (typeof factory !== 'function') {
+        throw new Error('src/ccmanager.js did not export the core factory');
+    }
+
+    const entry = [
+        '/**',
+        ' * Cookie Consent Library - ES module entry',
+        ' * Generated from src/ccmanager.js by build.js; importing it has no side effects',
+        ' */',
+        '',
+        `const CookieConsent = (${factory.toString()})(typeof window !== 'undefined' ? window : undefined, typeof document !== 'undefined' ? document : undefined);`,
+        '',
+        'export default CookieConsent;',
+        'export { CookieConsent };',
+        ''
+    ].join('\n');
+
+    const entries = [{ name: 'index', code: entry }].concat(modules.map(name => ({
+        name: name,
+        code: fs.readFileSync(`src/${name}.js`, 'utf8')
+    })));
+
+    ['esm', 'cjs'].forEach(format => {
+        const dir = path.join(distDir, format);
+
+        fs.mkdirSync(path.join(dir, 'adapters'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ type: format === 'esm' ? 'module' : 'commonjs' }) + '\n');
+
+        entries.forEach(module => {
+            const code = format === 'esm'
+                ? module.code
+                : esbuild.transformSync(module.code, { format: 'cjs', target: 'es2017' }).code;
+
+            fs.writeFileSync(path.join(dir, `${module.name}.js`), code);
+        });
+    });
+    console.log('✓ Module entries built');
+} catch (error) {
+    console.error('✗ Failed to build module entries:', error.message);
+    process.exit(1);
+}
+
 // Get file sizes
 const jsMinSize = fs.statSync('dist/ccmanager.min.js').size;
 const cssMinSize = fs.statSync('dist/ccmanager.min.css').size;
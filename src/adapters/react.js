@@ -0,0 +1,32 @@
+/**
+ * Cookie Consent Library - React adapter
+ * Hooks and components built on onChange(), for use with the ES module or CommonJS entry
+ */
+
+import { createElement, Fragment, useEffect, useState } from 'react';
+import CookieConsent from '../index.js';
+
+/**
+ * Read a category's consent state, re-rendering whenever it changes
+ * Pass an instance from CookieConsent.create() to use it instead of the default one
+ * initial is the state for the first render, for example from readConsent() on the server
+ */
+export function useConsent(category, instance, initial) {
+    const manager = instance || CookieConsent;
+
+    // The first render must match the server's, which has no cookie to read; onChange() reports the real state once mounted
+    const [granted, setGranted] = useState(initial === true);
+
+    useEffect(() => manager.onChange(category, value => setGranted(value)), [manager, category]);
+
+    return granted;
+}
+
+/**
+ * Render children only while a category has consent, and the fallback otherwise
+ */
+export function ConsentGate({ category, instance, initial, fallback = null, children }) {
+    const granted = useConsent(category, instance, initial);
+
+    return createElement(Fragment, null, granted ? children : fallback);
+}
@@ -0,0 +1,34 @@
+/**
+ * Cookie Consent Library - Vue adapter
+ * A composable built on onChange(), for use with the ES module or CommonJS entry
+ */
+
+import { onBeforeUnmount, onMounted, readonly, ref } from 'vue';
+import CookieConsent from '../index.js';
+
+/**
+ * Read a category's consent state as a ref that updates whenever it changes
+ * Pass an instance from CookieConsent.create() to use it instead of the default one
+ * initial is the state before mounting, for example from readConsent() on the server
+ */
+export function useConsent(category, instance, initial) {
+    const manager = instance || CookieConsent;
+
+    // Hydration must match the server's render, which has no cookie to read; onChange() reports the real state once mounted
+    const granted = ref(initial === true);
+    let unsubscribe = null;
+
+    onMounted(() => {
+        unsubscribe = manager.onChange(category, value => {
+            granted.value = value;
+        });
+    });
+
+    onBeforeUnmount(() => {
+        if (unsubscribe) {
+            unsubscribe();
+        }
+    });
+
+    return readonly(granted);
+}
@@ -0,0 +1,375 @@
+/**
+ * Cookie Consent Library - Debug inspector
+ * A floating panel showing the consent record, granted categories and gated elements,
+ * with controls to simulate decisions and spoof the region or Global Privacy Control
+ * For development and QA only; leave this file out of production builds
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Core events after which the panel is redrawn
+    const refreshEvents = [
+        'consent-given', 'consent-rejected', 'consent-opted-out', 'consent-revoked', 'consent-expired',
+        'consent-reprompt', 'consent-synced', 'consent-changed', 'consent-invalid', 'privacy-signal',
+        'banner-shown', 'banner-hidden', 'cookies-cleared', 'element-activated', 'language-changed'
+    ];
+
+    const styles = `
+        .cookie-consent-inspector { position: fixed; left: 1rem; bottom: 1rem; z-index: 2147483647; width: 22rem; max-height: 70vh; overflow: auto; background: #1e1e24; color: #e8e8ec; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; border-radius: 6px; box-shadow: 0 4px 24px rgba(0, 0, 0, 0.35); }
+        .cookie-consent-inspector-header { display: flex; justify-content: space-between; align-items: center; padding: 0.5rem 0.75rem; background: #2b2b33; position: sticky; top: 0; }
+        .cookie-consent-inspector-body { padding: 0.5rem 0.75rem 0.75rem; }
+        .cookie-consent-inspector[data-collapsed] .cookie-consent-inspector-body { display: none; }
+        .cookie-consent-inspector h3 { margin: 0.75rem 0 0.25rem; font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #9a9aa6; }
+        .cookie-consent-inspector ul { margin: 0; padding: 0; list-style: none; }
+        .cookie-consent-inspector li { display: flex; justify-content: space-between; gap: 0.5rem; }
+        .cookie-consent-inspector pre { margin: 0; white-space: pre-wrap; word-break: break-all; }
+        .cookie-consent-inspector button, .cookie-consent-inspector select { font: inherit; color: inherit; background: #3a3a44; border: 1px solid #55555f; border-radius: 4px; padding: 0.125rem 0.5rem; cursor: pointer; }
+        .cookie-consent-inspector-actions { display: flex; flex-wrap: wrap; gap: 0.25rem; margin-top: 0.25rem; }
+        .cookie-consent-inspector-granted { color: #7ddc8b; }
+        .cookie-consent-inspector-denied { color: #f08a8a; }
+    `;
+
+    const CookieConsentInspector = {
+        config: {
+            core: null
+        },
+
+        /**
+         * Show the inspector for a CookieConsent instance
+         * Called again, for example when the core re-initialises, it redraws the existing panel
+         */
+        init: function(options) {
+            this.config = { ...this.config, ...options };
+
+            if (!document.body) {
+                document.addEventListener('DOMContentLoaded', () => this.init());
+                return;
+            }
+
+            if (!this.panel) {
+                this.build();
+                this.bindEvents();
+            }
+
+            this.update();
+        },
+
+        /**
+         * Get the core CookieConsent instance
+         */
+        getCore: function() {
+            return this.config.core || window.CookieConsent;
+        },
+
+        /**
+         * Create the panel and its stylesheet
+         */
+        build: function() {
+            this.style = document.createElement('style');
+            this.style.textContent = styles;
+            document.head.appendChild(this.style);
+
+            this.panel = this.buildElement('aside', 'cookie-consent-inspector');
+            this.panel.setAttribute('aria-label', 'Cookie consent inspector');
+
+            const header = this.buildElement('div', 'cookie-consent-inspector-header');
+            header.appendChild(this.buildElement('strong', null, 'Consent inspector'));
+            header.appendChild(this.buildButton('toggle', 'Hide'));
+
+            this.body = this.buildElement('div', 'cookie-consent-inspector-body');
+            this.panel.appendChild(header);
+            this.panel.appendChild(this.body);
+            document.body.appendChild(this.panel);
+        },
+
+        /**
+         * Redraw the panel when consent changes and handle its controls
+         */
+        bindEvents: function() {
+            this.refresh = () => this.update();
+
+            refreshEvents.forEach(name => {
+                document.addEventListener('cookieConsent:' + name, this.refresh);
+            });
+
+            this.panel.addEventListener('click', event => {
+                const button = event.target.closest('[data-inspector-action]');
+
+                if (button) {
+                    this.runAction(button.getAttribute('data-inspector-action'));
+                }
+            });
+
+            this.panel.addEventListener('change', event => {
+                if (event.target.name === 'region') {
+                    this.spoofRegion(event.target.value);
+                } else if (event.target.name === 'gpc') {
+                    this.spoofGpc(event.target.checked);
+                }
+            });
+        },
+
+        /**
+         * Redraw the panel from the core's current state
+         */
+        update: function() {
+            const core = this.getCore();
+
+            if (!this.panel || !core) {
+                return;
+            }
+
+            const consent = core.getConsent();
+            const body = this.body;
+
+            body.innerHTML = '';
+
+            body.appendChild(this.buildElement('h3', null, 'State'));
+            body.appendChild(this.buildList([
+                ['Model', core.getConsentModel()],
+                ['Jurisdiction', core.jurisdiction + (this.region ? ' (spoofed)' : '')],
+                ['Language', core.getLanguage()],
+                ['Variant', core.variant || 'none'],
+                ['Privacy signal', (core.getPrivacySignal() || 'none') + (this.gpc ? ' (GPC spoofed)' : '')],
+                ['Consent id', core.getConsentId() || 'none']
+            ]));
+
+            body.appendChild(this.buildElement('h3', null, 'Categories'));
+            body.appendChild(this.buildList(core.getCategories().map(category => {
+                const granted = core.hasConsent(category.id);
+                return [category.id, granted ? 'granted' : 'denied', granted];
+            })));
+
+            const elements = this.getGatedElements();
+
+            body.appendChild(this.buildElement('h3', null, `Gated elements (${elements.length})`));
+            body.appendChild(this.buildList(elements.map(item => [item.label, item.status, item.activated])));
+
+            body.appendChild(this.buildElement('h3', null, 'Consent record'));
+            body.appendChild(this.buildElement('pre', null, consent ? JSON.stringify(consent, null, 2) : 'No decision stored'));
+
+            body.appendChild(this.buildElement('h3', null, 'Simulate'));
+            const actions = this.buildElement('div', 'cookie-consent-inspector-actions');
+            actions.appendChild(this.buildButton('accept', 'Accept all'));
+            actions.appendChild(this.buildButton('reject', 'Reject'));
+            actions.appendChild(this.buildButton('revoke', 'Revoke'));
+            actions.appendChild(this.buildButton('clear', 'Clear state'));
+            body.appendChild(actions);
+
+            body.appendChild(this.buildElement('h3', null, 'Spoof'));
+            body.appendChild(this.buildSpoofControls(core));
+        },
+
+        /**
+         * List the elements waiting on a category, with what each is waiting for
+         */
+        getGatedElements: function() {
+            const core = this.getCore();
+            const attr = core.config.categoryAttribute;
+
+            return Array.from(document.querySelectorAll(`[${attr}]`))
+                .filter(el => !this.panel.contains(el))
+                .map(el => {
+                    const categories = (el.getAttribute(attr) || '').split(/[\s,]+/).filter(Boolean);
+                    const vendor = el.getAttribute('data-cookie-vendor') || undefined;
+                    const missing = categories.filter(category => !core.hasConsent(category, vendor));
+                    const source = el.getAttribute('src') || el.getAttribute('data-src') || el.textContent.trim().slice(0, 40);
+                    const activated = el.hasAttribute('data-cookie-activated');
+
+                    return {
+                        element: el,
+                        label: `<${el.tagName.toLowerCase()}> ${source}`,
+                        activated: activated,
+                        status: activated ? 'activated' : 'waiting for ' + (missing.join(', ') || 'activation')
+                    };
+                });
+        },
+
+        /**
+         * Run one of the Simulate buttons
+         */
+        runAction: function(action) {
+            const core = this.getCore();
+
+            if (action === 'toggle') {
+                const collapsed = this.panel.toggleAttribute('data-collapsed');
+                this.panel.querySelector('[data-inspector-action="toggle"]').textContent = collapsed ? 'Show' : 'Hide';
+            } else if (action === 'accept') {
+                core.acceptAll();
+            } else if (action === 'reject') {
+                core.reject();
+            } else if (action === 'revoke') {
+                core.revoke();
+            } else if (action === 'clear') {
+                this.clearState();
+            }
+        },
+
+        /**
+         * Remove the stored decision and everything kept alongside it, then start again as a first visit
+         */
+        clearState: function() {
+            const core = this.getCore();
+            const name = core.config.cookieName;
+
+            core.clearConsent();
+
+            try {
+                window.localStorage.removeItem(name + '_log_queue');
+                window.sessionStorage.removeItem(name + '_variant');
+            } catch (e) {
+                // Storage can be unavailable
+            }
+
+            core.checkConsent();
+            this.update();
+        },
+
+        /**
+         * Re-initialise the core as if the visitor were in another jurisdiction
+         * An empty region goes back to the configured jurisdiction
+         */
+        spoofRegion: function(region) {
+            const core = this.getCore();
+
+            if (!this.region) {
+                this.configuredJurisdiction = core.config.jurisdiction;
+            }
+
+            this.region = region || null;
+            core.init({ jurisdiction: region || this.configuredJurisdiction });
+        },
+
+        /**
+         * Pretend the browser is, or is not, sending a Global Privacy Control signal
+         * It only has an effect when the core is configured with respectGpc
+         */
+        spoofGpc: function(enabled) {
+            const core = this.getCore();
+
+            if (!this.realPrivacySignal) {
+                this.realPrivacySignal = core.getPrivacySignal;
+            }
+
+            const realPrivacySignal = this.realPrivacySignal;
+
+            core.getPrivacySignal = enabled
+                ? function() { return this.config.respectGpc ? 'gpc' : realPrivacySignal.call(this); }
+                : realPrivacySignal;
+
+            this.gpc = enabled;
+            core.checkConsent();
+            this.update();
+        },
+
+        /**
+         * Remove the panel and stop listening to the core
+         */
+        destroy: function() {
+            if (!this.panel) {
+                return;
+            }
+
+            refreshEvents.forEach(name => {
+                document.removeEventListener('cookieConsent:' + name, this.refresh);
+            });
+
+            this.panel.remove();
+            this.style.remove();
+            this.panel = null;
+            this.style = null;
+        },
+
+        /**
+         * Build the region select and GPC checkbox
+         */
+        buildSpoofControls: function(core) {
+            const controls = this.buildElement('div', 'cookie-consent-inspector-actions');
+            const select = document.createElement('select');
+            const gpc = document.createElement('input');
+            const gpcLabel = this.buildElement('label', null, ' GPC');
+
+            select.name = 'region';
+            select.setAttribute('aria-label', 'Region');
+            select.appendChild(new Option('Configured region', ''));
+            Object.keys(core.config.consentModels).forEach(region => {
+                select.appendChild(new Option(`${region} (${core.config.consentModels[region]})`, region, false, region === this.region));
+            });
+
+            gpc.type = 'checkbox';
+            gpc.name = 'gpc';
+            gpc.checked = !!this.gpc;
+            gpcLabel.insertBefore(gpc, gpcLabel.firstChild);
+
+            if (!core.config.respectGpc) {
+                gpcLabel.title = 'respectGpc is off, so the signal is ignored';
+            }
+
+            controls.appendChild(select);
+            controls.appendChild(gpcLabel);
+
+            return controls;
+        },
+
+        /**
+         * Build a list of label/value rows, colouring the value when a third item says granted or not
+         */
+        buildList: function(rows) {
+            const list = document.createElement('ul');
+
+            rows.forEach(row => {
+                const item = document.createElement('li');
+                const value = this.buildElement('span', null, String(row[1]));
+
+                if (row.length > 2) {
+                    value.className = row[2] ? 'cookie-consent-inspector-granted' : 'cookie-consent-inspector-denied';
+                }
+
+                item.appendChild(this.buildElement('span', null, row[0]));
+                item.appendChild(value);
+                list.appendChild(item);
+            });
+
+            return list;
+        },
+
+        /**
+         * Create an element with an optional class and text
+         */
+        buildElement: function(tag, className, text) {
+            const el = document.createElement(tag);
+
+            if (className) {
+                el.className = className;
+            }
+
+            if (text !== undefined) {
+                el.textContent = text;
+            }
+
+            return el;
+        },
+
+        /**
+         * Create a panel button
+         */
+        buildButton: function(action, text) {
+            const button = this.buildElement('button', null, text);
+
+            button.type = 'button';
+            button.setAttribute('data-inspector-action', action);
+
+            return button;
+        }
+    };
+
+    // Expose to global scope
+    window.CookieConsentInspector = CookieConsentInspector;
+
+    // Open straight away if the library has already started in debug mode
+    if (window.CookieConsent && window.CookieConsent.initialised && window.CookieConsent.config.debug) {
+        CookieConsentInspector.init({ core: window.CookieConsent });
+    }
+
+})(window, document);
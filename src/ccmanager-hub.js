@@ -0,0 +1,106 @@
+/**
+ * Cookie Consent Library - Cross-domain consent hub
+ * Include this on a page served from your hub domain; sites load that page in a hidden
+ * iframe (the crossDomain option) to share one consent decision across domains
+ * Browsers that partition third-party storage per top-level site give each site its own copy,
+ * so there the hub cannot share a decision; see the README
+ */
+
+(function(window) {
+    'use strict';
+
+    const CookieConsentHub = {
+        config: {
+            allowedOrigins: [],
+            storageKey: null
+        },
+
+        /**
+         * Start answering requests from the allowed origins
+         */
+        init: function(options) {
+            this.config = { ...this.config, ...options };
+
+            if (this.listening) {
+                return;
+            }
+
+            window.addEventListener('message', (event) => this.handleMessage(event));
+            this.listening = true;
+        },
+
+        /**
+         * Check an origin against the allowlist
+         * Entries are exact origins, or '*.' wildcards such as 'https://*.example.com'
+         */
+        isAllowed: function(origin) {
+            return this.config.allowedOrigins.some(allowed => {
+                if (allowed === origin) {
+                    return true;
+                }
+
+                const wildcard = allowed.match(/^(https?:\/\/)\*\.(.+)$/);
+
+                return !!wildcard && origin.indexOf(wildcard[1]) === 0 &&
+                    origin.slice(-(wildcard[2].length + 1)) === '.' + wildcard[2];
+            });
+        },
+
+        /**
+         * Check whether a record or revocation marker is newer than the stored one
+         */
+        isNewer: function(incoming, stored) {
+            if (!incoming || isNaN(Date.parse(incoming.timestamp))) {
+                return false;
+            }
+
+            return !stored || isNaN(Date.parse(stored.timestamp)) || Date.parse(incoming.timestamp) >= Date.parse(stored.timestamp);
+        },
+
+        /**
+         * Answer get, set and clear requests
+         */
+        handleMessage: function(event) {
+            const data = event.data;
+
+            if (!data || data.type !== 'cookie-consent-hub' || !event.source) {
+                return;
+            }
+
+            if (!this.isAllowed(event.origin)) {
+                console.warn('Cookie consent hub: ignored request from ' + event.origin);
+                return;
+            }
+
+            const key = this.config.storageKey || data.key || 'cookie_consent';
+            let consent = null;
+
+            try {
+                consent = JSON.parse(window.localStorage.getItem(key));
+
+                // A revocation is kept as a dated marker rather than deleted, so it can win over an older
+                // record that another site still holds; the newest record or marker is kept
+                const incoming = data.action === 'clear'
+                    ? { revoked: true, timestamp: (data.consent && data.consent.timestamp) || new Date().toISOString() }
+                    : (data.action === 'set' ? data.consent : null);
+
+                if (incoming && this.isNewer(incoming, consent)) {
+                    window.localStorage.setItem(key, JSON.stringify(incoming));
+                    consent = incoming;
+                }
+            } catch (e) {
+                consent = null;
+            }
+
+            event.source.postMessage({
+                type: 'cookie-consent-hub',
+                id: data.id,
+                consent: consent
+            }, event.origin);
+        }
+    };
+
+    // Expose to global scope
+    window.CookieConsentHub = CookieConsentHub;
+
+})(window);
@@ -0,0 +1,549 @@
+/**
+ * Cookie Consent Library - IAB TCF v2.2 module
+ * Installs the __tcfapi CMP API and encodes consent choices into a TC string
+ * Load this in the <head>, before any ad tags, alongside ccmanager.js
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Install the stub straight away so tags that load before the library can queue commands
+    if (typeof window.__tcfapi !== 'function') {
+        const queue = [];
+
+        const stub = function() {
+            const args = Array.prototype.slice.call(arguments);
+
+            if (args[0] === 'ping' && typeof args[2] === 'function') {
+                args[2]({
+                    gdprApplies: undefined,
+                    cmpLoaded: false,
+                    cmpStatus: 'stub',
+                    displayStatus: 'hidden',
+                    apiVersion: '2.2'
+                }, true);
+                return;
+            }
+
+            queue.push(args);
+        };
+
+        stub.a = queue;
+        window.__tcfapi = stub;
+    }
+
+    // Vendors in other frames find the CMP through a frame named __tcfapiLocator
+    const addLocator = function() {
+        if (window.frames.__tcfapiLocator) {
+            return;
+        }
+
+        if (!document.body) {
+            document.addEventListener('DOMContentLoaded', addLocator);
+            return;
+        }
+
+        const iframe = document.createElement('iframe');
+        iframe.name = '__tcfapiLocator';
+        iframe.title = '__tcfapiLocator';
+        iframe.style.display = 'none';
+        iframe.setAttribute('aria-hidden', 'true');
+        iframe.tabIndex = -1;
+        document.body.appendChild(iframe);
+    };
+
+    addLocator();
+
+    window.addEventListener('message', function(event) {
+        let data = event.data;
+        const isString = typeof data === 'string';
+
+        try {
+            data = isString ? JSON.parse(data) : data;
+        } catch (e) {
+            return;
+        }
+
+        const call = data && data.__tcfapiCall;
+
+        if (!call || !event.source) {
+            return;
+        }
+
+        window.__tcfapi(call.command, call.version, function(returnValue, success) {
+            const message = {
+                __tcfapiReturn: {
+                    returnValue: returnValue,
+                    success: success,
+                    callId: call.callId
+                }
+            };
+
+            event.source.postMessage(isString ? JSON.stringify(message) : message, '*');
+        }, call.parameter);
+    });
+
+    // Purposes TCF v2.2 only allows on the basis of consent, never legitimate interest
+    const consentOnlyPurposes = [1, 3, 4, 5, 6];
+
+    // Base64url alphabet used by TC strings
+    const base64Url = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+    const CookieConsentTCF = {
+        config: {
+            gvl: null,
+            gvlUrl: null,
+            cmpId: 0,
+            cmpVersion: 1,
+            consentScreen: 1,
+            consentLanguage: null,
+            publisherCountryCode: 'GB',
+            isServiceSpecific: true,
+            purposeOneTreatment: false,
+            gdprApplies: null,
+            cookieName: 'euconsent-v2',
+            purposeMapping: {
+                analytics: [1, 7, 8, 9, 10],
+                marketing: [1, 2, 3, 4, 5, 6, 11]
+            },
+            specialFeatureMapping: {}
+        },
+
+        /**
+         * Initialise the TCF module
+         * Commands queued by the stub are answered once the vendor list has loaded
+         */
+        init: function(options) {
+            this.config = { ...this.config, ...options };
+            this.listeners = [];
+            this.nextListenerId = 1;
+            this.eventStatus = this.getCore().getConsent() ? 'tcloaded' : 'cmpuishown';
+
+            this.bindEvents();
+
+            return this.loadVendorList().then(gvl => {
+                this.gvl = gvl;
+                this.update(this.eventStatus);
+                this.installApi();
+                return gvl;
+            });
+        },
+
+        /**
+         * Load the Global Vendor List from config, or from a local JSON file
+         */
+        loadVendorList: function() {
+            if (this.config.gvl) {
+                return Promise.resolve(this.config.gvl);
+            }
+
+            if (!this.config.gvlUrl) {
+                return Promise.reject(new Error('A gvl object or gvlUrl is required'));
+            }
+
+            return window.fetch(this.config.gvlUrl, { credentials: 'same-origin' }).then(response => {
+                if (!response.ok) {
+                    throw new Error('Failed to load vendor list: ' + response.status);
+                }
+                return response.json();
+            });
+        },
+
+        /**
+         * Keep the TC string in step with the core library's consent events
+         */
+        bindEvents: function() {
+            if (this.eventsBound) {
+                return;
+            }
+
+            ['consent-given', 'consent-rejected', 'consent-opted-out', 'privacy-signal'].forEach(name => {
+                document.addEventListener('cookieConsent:' + name, () => this.update('useractioncomplete'));
+            });
+
+            document.addEventListener('cookieConsent:consent-revoked', () => {
+                this.getCore().deleteCookie(this.config.cookieName);
+                this.update('cmpuishown');
+            });
+
+            document.addEventListener('cookieConsent:banner-shown', () => {
+                if (this.eventStatus !== 'cmpuishown') {
+                    this.update('cmpuishown');
+                }
+            });
+
+            this.eventsBound = true;
+        },
+
+        /**
+         * Get the core CookieConsent instance
+         */
+        getCore: function() {
+            return this.config.core || window.CookieConsent;
+        },
+
+        /**
+         * Rebuild the TC string from the current consent, store it and notify listeners
+         */
+        update: function(eventStatus) {
+            this.eventStatus = eventStatus;
+
+            if (!this.gvl) {
+                return;
+            }
+
+            const core = this.getCore();
+            const consent = core.getConsent();
+
+            this.tcString = consent ? this.encode(this.getChoices(consent), consent) : '';
+
+            if (this.tcString) {
+                core.setCookie(this.config.cookieName, this.tcString, core.config.cookieExpiry);
+            }
+
+            this.listeners.forEach(listener => {
+                listener.callback(this.getTCData(null, listener.id), true);
+            });
+        },
+
+        /**
+         * Map the core library's categories and vendors onto TCF purposes, special features and vendors
+         */
+        getChoices: function(consent) {
+            const core = this.getCore();
+            const purposes = [];
+            const specialFeatures = [];
+            const deniedVendors = [];
+
+            const grant = (mapping, list) => {
+                Object.keys(mapping).forEach(category => {
+                    if (core.hasConsent(category)) {
+                        mapping[category].forEach(id => {
+                            if (!list.includes(id)) {
+                                list.push(id);
+                            }
+                        });
+                    }
+                });
+            };
+
+            grant(this.config.purposeMapping, purposes);
+            grant(this.config.specialFeatureMapping, specialFeatures);
+
+            // Core vendors declared with a tcfId can be refused individually
+            core.getCategories().forEach(category => {
+                category.vendors.forEach(vendor => {
+                    if (vendor.tcfId && !core.hasConsent(category.id, vendor.id)) {
+                        deniedVendors.push(vendor.tcfId);
+                    }
+                });
+            });
+
+            const vendors = [];
+            const legitimateInterests = [];
+            const purposeLegitimateInterests = [];
+
+            Object.keys(this.gvl.vendors || {}).forEach(key => {
+                const vendor = this.gvl.vendors[key];
+
+                if (vendor.deletedDate || deniedVendors.includes(vendor.id)) {
+                    return;
+                }
+
+                const consentPurposes = vendor.purposes || [];
+                const liPurposes = (vendor.legIntPurposes || []).filter(id => !consentOnlyPurposes.includes(id));
+                const features = vendor.specialFeatures || [];
+
+                if (consentPurposes.length > 0 &&
+                    consentPurposes.every(id => purposes.includes(id)) &&
+                    features.every(id => specialFeatures.includes(id))) {
+                    vendors.push(vendor.id);
+                }
+
+                // Legitimate interest does not rest on consent, so it follows what the vendor declares
+                // and only a vendor the user refused by name loses it
+                if (liPurposes.length > 0) {
+                    legitimateInterests.push(vendor.id);
+                    liPurposes.forEach(id => {
+                        if (!purposeLegitimateInterests.includes(id)) {
+                            purposeLegitimateInterests.push(id);
+                        }
+                    });
+                }
+            });
+
+            return {
+                purposes: consent.accepted ? purposes : [],
+                purposeLegitimateInterests: purposeLegitimateInterests,
+                specialFeatures: consent.accepted ? specialFeatures : [],
+                vendors: consent.accepted ? vendors : [],
+                vendorLegitimateInterests: legitimateInterests
+            };
+        },
+
+        /**
+         * Encode choices into a TC string core segment
+         */
+        encode: function(choices, consent) {
+            // TCF v2.2 rounds both timestamps to the day the decision was made
+            const decided = new Date(consent.timestamp);
+            const day = Date.UTC(decided.getUTCFullYear(), decided.getUTCMonth(), decided.getUTCDate());
+            const deciseconds = Math.round((isNaN(day) ? Date.now() : day) / 100);
+            const language = (this.config.consentLanguage || this.getCore().getLanguage() || 'en').slice(0, 2).toUpperCase();
+            let bits = '';
+
+            bits += this.encodeInt(2, 6);
+            bits += this.encodeInt(deciseconds, 36);
+            bits += this.encodeInt(deciseconds, 36);
+            bits += this.encodeInt(this.config.cmpId, 12);
+            bits += this.encodeInt(this.config.cmpVersion, 12);
+            bits += this.encodeInt(this.config.consentScreen, 6);
+            bits += this.encodeLetters(language);
+            bits += this.encodeInt(this.gvl.vendorListVersion || 0, 12);
+            bits += this.encodeInt(this.gvl.tcfPolicyVersion || 4, 6);
+            bits += this.config.isServiceSpecific ? '1' : '0';
+            bits += '0';
+            bits += this.encodeFlags(choices.specialFeatures, 12);
+            bits += this.encodeFlags(choices.purposes, 24);
+            bits += this.encodeFlags(choices.purposeLegitimateInterests, 24);
+            bits += this.config.purposeOneTreatment ? '1' : '0';
+            bits += this.encodeLetters(this.config.publisherCountryCode.toUpperCase());
+            bits += this.encodeVendors(choices.vendors);
+            bits += this.encodeVendors(choices.vendorLegitimateInterests);
+            bits += this.encodeInt(0, 12);
+
+            return this.toBase64Url(bits);
+        },
+
+        /**
+         * Encode a number as a fixed-width bit string
+         */
+        encodeInt: function(value, length) {
+            let bits = '';
+
+            // Build from the low end to cope with values wider than 32 bits
+            for (let i = 0; i < length; i++) {
+                bits = (Math.floor(value / Math.pow(2, i)) % 2 ? '1' : '0') + bits;
+            }
+
+            return bits;
+        },
+
+        /**
+         * Encode two letters, 6 bits each with A as 0
+         */
+        encodeLetters: function(letters) {
+            return this.encodeInt(letters.charCodeAt(0) - 65, 6) + this.encodeInt(letters.charCodeAt(1) - 65, 6);
+        },
+
+        /**
+         * Encode a list of ids as a fixed-width bit field, id 1 first
+         */
+        encodeFlags: function(ids, length) {
+            let bits = '';
+
+            for (let id = 1; id <= length; id++) {
+                bits += ids.includes(id) ? '1' : '0';
+            }
+
+            return bits;
+        },
+
+        /**
+         * Encode a vendor section, using whichever of bit field or range encoding is shorter
+         */
+        encodeVendors: function(ids) {
+            const sorted = ids.slice().sort((a, b) => a - b);
+            const maxVendorId = sorted.length > 0 ? sorted[sorted.length - 1] : 0;
+            const ranges = [];
+
+            sorted.forEach(id => {
+                const last = ranges[ranges.length - 1];
+
+                if (last && id === last[1] + 1) {
+                    last[1] = id;
+                } else {
+                    ranges.push([id, id]);
+                }
+            });
+
+            let rangeBits = this.encodeInt(ranges.length, 12);
+
+            ranges.forEach(range => {
+                if (range[0] === range[1]) {
+                    rangeBits += '0' + this.encodeInt(range[0], 16);
+                } else {
+                    rangeBits += '1' + this.encodeInt(range[0], 16) + this.encodeInt(range[1], 16);
+                }
+            });
+
+            const fieldBits = this.encodeFlags(sorted, maxVendorId);
+            const header = this.encodeInt(maxVendorId, 16);
+
+            return rangeBits.length < fieldBits.length
+                ? header + '1' + rangeBits
+                : header + '0' + fieldBits;
+        },
+
+        /**
+         * Convert a bit string to unpadded base64url
+         */
+        toBase64Url: function(bits) {
+            // Pad to whole bytes, then to whole 6-bit characters
+            while (bits.length % 8 !== 0) {
+                bits += '0';
+            }
+            while (bits.length % 6 !== 0) {
+                bits += '0';
+            }
+
+            let encoded = '';
+
+            for (let i = 0; i < bits.length; i += 6) {
+                encoded += base64Url[parseInt(bits.substr(i, 6), 2)];
+            }
+
+            return encoded;
+        },
+
+        /**
+         * Whether GDPR applies to this visitor
+         * Defaults to true under the core library's opt-in consent model
+         */
+        gdprApplies: function() {
+            if (typeof this.config.gdprApplies === 'boolean') {
+                return this.config.gdprApplies;
+            }
+
+            return this.getCore().getConsentModel() === 'opt-in';
+        },
+
+        /**
+         * Build the TCData object returned by getTCData and sent to listeners
+         */
+        getTCData: function(vendorIds, listenerId) {
+            const consent = this.getCore().getConsent();
+            const choices = consent ? this.getChoices(consent) : {
+                purposes: [],
+                purposeLegitimateInterests: [],
+                specialFeatures: [],
+                vendors: [],
+                vendorLegitimateInterests: []
+            };
+            const allVendors = Object.keys(this.gvl.vendors || {}).map(Number);
+            const vendorList = Array.isArray(vendorIds) && vendorIds.length > 0 ? vendorIds : allVendors;
+
+            const toMap = (ids, all) => {
+                const map = {};
+                all.forEach(id => {
+                    map[id] = ids.includes(id);
+                });
+                return map;
+            };
+
+            const purposeIds = Array.from({ length: 11 }, (value, index) => index + 1);
+            const featureIds = [1, 2];
+
+            const data = {
+                tcString: this.tcString || '',
+                tcfPolicyVersion: this.gvl.tcfPolicyVersion || 4,
+                cmpId: this.config.cmpId,
+                cmpVersion: this.config.cmpVersion,
+                gdprApplies: this.gdprApplies(),
+                eventStatus: this.eventStatus,
+                cmpStatus: 'loaded',
+                isServiceSpecific: this.config.isServiceSpecific,
+                useNonStandardTexts: false,
+                publisherCC: this.config.publisherCountryCode.toUpperCase(),
+                purposeOneTreatment: this.config.purposeOneTreatment,
+                purpose: {
+                    consents: toMap(choices.purposes, purposeIds),
+                    legitimateInterests: toMap(choices.purposeLegitimateInterests, purposeIds)
+                },
+                vendor: {
+                    consents: toMap(choices.vendors, vendorList),
+                    legitimateInterests: toMap(choices.vendorLegitimateInterests, vendorList)
+                },
+                specialFeatureOptins: toMap(choices.specialFeatures, featureIds),
+                publisher: {
+                    consents: {},
+                    legitimateInterests: {},
+                    customPurpose: { consents: {}, legitimateInterests: {} },
+                    restrictions: {}
+                }
+            };
+
+            if (listenerId !== undefined && listenerId !== null) {
+                data.listenerId = listenerId;
+            }
+
+            return data;
+        },
+
+        /**
+         * Replace the stub with the real __tcfapi and answer queued commands
+         */
+        installApi: function() {
+            const queued = window.__tcfapi && Array.isArray(window.__tcfapi.a) ? window.__tcfapi.a : [];
+
+            window.__tcfapi = (command, version, callback, parameter) => this.handleCommand(command, version, callback, parameter);
+
+            queued.forEach(args => this.handleCommand.apply(this, args));
+        },
+
+        /**
+         * Handle a single __tcfapi command
+         */
+        handleCommand: function(command, version, callback, parameter) {
+            if (typeof callback !== 'function') {
+                return;
+            }
+
+            if (version !== undefined && version !== null && version !== 2) {
+                callback(null, false);
+                return;
+            }
+
+            switch (command) {
+                case 'ping':
+                    callback({
+                        gdprApplies: this.gdprApplies(),
+                        cmpLoaded: true,
+                        cmpStatus: 'loaded',
+                        displayStatus: this.eventStatus === 'cmpuishown' ? 'visible' : 'hidden',
+                        apiVersion: '2.2',
+                        cmpVersion: this.config.cmpVersion,
+                        cmpId: this.config.cmpId,
+                        gvlVersion: this.gvl.vendorListVersion,
+                        tcfPolicyVersion: this.gvl.tcfPolicyVersion || 4
+                    }, true);
+                    break;
+
+                case 'getTCData':
+                    callback(this.getTCData(parameter), true);
+                    break;
+
+                case 'addEventListener': {
+                    const id = this.nextListenerId++;
+                    this.listeners.push({ id: id, callback: callback });
+                    callback(this.getTCData(null, id), true);
+                    break;
+                }
+
+                case 'removeEventListener': {
+                    const count = this.listeners.length;
+                    this.listeners = this.listeners.filter(listener => listener.id !== parameter);
+                    callback(this.listeners.length < count);
+                    break;
+                }
+
+                default:
+                    callback(null, false);
+            }
+        }
+    };
+
+    // Expose to global scope
+    window.CookieConsentTCF = CookieConsentTCF;
+
+})(window, document);
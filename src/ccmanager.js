@@ -4,44 +4,508 @@
  * @version 1.0.0
  */
 
-(function(window, document) {
+(function(factory) {
     'use strict';
 
+    // Loaded outside a browser, e.g. by build.js, the file exports the core's factory so the module entries can wrap it
+    if (typeof window === 'undefined') {
+        if (typeof module === 'object' && module.exports) {
+            module.exports = factory;
+        }
+        return;
+    }
+
+    const CookieConsent = factory(window, document);
+
+    // Expose to global scope
+    window.CookieConsent = CookieConsent;
+
+    // Auto-initialise if data attribute exists, unless it opts out with data-cookie-consent-auto-init="false"
+    const autoInit = function() {
+        const container = document.querySelector('[data-cookie-consent]');
+
+        if (container && container.getAttribute('data-cookie-consent-auto-init') !== 'false') {
+            CookieConsent.init();
+        }
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoInit);
+    } else {
+        autoInit();
+    }
+
+})(function(window, document) {
+    'use strict';
+
+    // Built-in strings, used when the active language has no translation for a key
+    const defaultTranslations = {
+        en: {
+            viewCookiesTitle: 'Cookies on this site',
+            noCookies: 'No cookies found',
+            close: 'Close',
+            cookieName: 'Cookie name',
+            cookieValue: 'Value',
+            otherCookies: 'Other cookies',
+            closeDialog: 'Close cookie list',
+            announceAccept: 'Your cookie preferences have been saved.',
+            announceReject: 'Optional cookies have been rejected.',
+            announceOptOut: 'You have opted out of the sale and sharing of your personal information.',
+            announceRevoke: 'Your cookie consent has been withdrawn.',
+            bannerTitle: 'We use cookies',
+            bannerDescription: 'We use cookies to improve your experience on our site. You can choose which optional cookies to allow.',
+            acceptAll: 'Accept all',
+            rejectAll: 'Reject all',
+            doNotSell: 'Do not sell or share my personal information',
+            managePreferences: 'Manage preferences',
+            preferencesTitle: 'Cookie preferences',
+            savePreferences: 'Save preferences',
+            alwaysActive: 'Always active',
+            cookieSettings: 'Cookie settings'
+        }
+    };
+
+    // Builds can define COOKIE_CONSENT_DEBUG as false to strip the debug logging, as the minified build does
+    const debugLogging = typeof COOKIE_CONSENT_DEBUG === 'undefined' || COOKIE_CONSENT_DEBUG;
+
+    // Version prefix of the stored consent value, e.g. '1.<base64url JSON>'
+    const consentFormatVersion = 1;
+
+    // Counter for the element id prefix of instances made with create()
+    let instanceCount = 0;
+
+    const rtlLanguages = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+    // Common cookies and storage keys, used by scan() to classify anything the site has not declared
+    const trackerPatterns = [
+        { name: /^_ga(_.*)?$/, category: 'analytics', provider: 'Google Analytics', purpose: 'Distinguishes visitors' },
+        { name: '_gid', category: 'analytics', provider: 'Google Analytics', purpose: 'Distinguishes visitors' },
+        { name: /^_gat(_.*)?$/, category: 'analytics', provider: 'Google Analytics', purpose: 'Throttles request rate' },
+        { name: '_dc_gtm', category: 'analytics', provider: 'Google Tag Manager', purpose: 'Throttles request rate' },
+        { name: /^_gcl_/, category: 'marketing', provider: 'Google Ads', purpose: 'Measures ad conversions' },
+        { name: '_fbp', category: 'marketing', provider: 'Meta', purpose: 'Ad delivery and measurement' },
+        { name: '_fbc', category: 'marketing', provider: 'Meta', purpose: 'Stores the last ad click' },
+        { name: /^_hj/, category: 'analytics', provider: 'Hotjar', purpose: 'Session recording and heatmaps' },
+        { name: /^_hj/, type: 'localStorage', category: 'analytics', provider: 'Hotjar', purpose: 'Session recording and heatmaps' },
+        { name: /^_hj/, type: 'sessionStorage', category: 'analytics', provider: 'Hotjar', purpose: 'Session recording and heatmaps' },
+        { name: /^_cl(ck|sk)$/, category: 'analytics', provider: 'Microsoft Clarity', purpose: 'Session recording and heatmaps' },
+        { name: /^_uet(sid|vid)$/, category: 'marketing', provider: 'Microsoft Advertising', purpose: 'Measures ad conversions' },
+        { name: 'MUID', category: 'marketing', provider: 'Microsoft', purpose: 'Identifies browsers across Microsoft sites' },
+        { name: /^_pin_unauth$|^_pinterest_/, category: 'marketing', provider: 'Pinterest', purpose: 'Ad delivery and measurement' },
+        { name: /^_ttp$|^_tt_enable_cookie$/, category: 'marketing', provider: 'TikTok', purpose: 'Ad delivery and measurement' },
+        { name: /^li_(sugr|fat_id)$|^bcookie$|^lidc$/, category: 'marketing', provider: 'LinkedIn', purpose: 'Ad delivery and measurement' },
+        { name: /^(__hstc|__hssc|__hssrc|hubspotutk)$/, category: 'marketing', provider: 'HubSpot', purpose: 'Tracks visits for marketing' },
+        { name: /^_pk_(id|ses|ref)/, category: 'analytics', provider: 'Matomo', purpose: 'Distinguishes visitors' },
+        { name: /^mp_.*_mixpanel$/, category: 'analytics', provider: 'Mixpanel', purpose: 'Product analytics' },
+        { name: /^AMP_/, category: 'analytics', provider: 'Amplitude', purpose: 'Product analytics' },
+        { name: /^ajs_(anonymous_id|user_id)$/, category: 'analytics', provider: 'Segment', purpose: 'Distinguishes visitors' },
+        { name: /^ajs_(anonymous_id|user_id|user_traits)$/, type: 'localStorage', category: 'analytics', provider: 'Segment', purpose: 'Distinguishes visitors' },
+        { name: /^intercom-/, category: 'preferences', provider: 'Intercom', purpose: 'Live chat' },
+        { name: /^__stripe_(mid|sid)$/, category: 'necessary', provider: 'Stripe', purpose: 'Fraud prevention' },
+        { name: /^(__cf_bm|cf_clearance|_cfuvid)$/, category: 'necessary', provider: 'Cloudflare', purpose: 'Bot protection' },
+        { name: /^(PHPSESSID|JSESSIONID|ASP\.NET_SessionId)$/, category: 'necessary', provider: 'This site', purpose: 'Keeps the session' }
+    ];
+
     const CookieConsent = {
+        uid: 'cookie-consent',
+
         config: {
             cookieName: 'cookie_consent',
             cookieExpiry: 365,
+            cookieDomain: null,
+            cookiePath: '/',
+            cookieSameSite: 'Strict',
+            cookieSecure: false,
+            crossDomain: null,
+            revision: 0,
+            consentMaxAge: {
+                accepted: 365,
+                rejected: 180
+            },
+            localStorageFallback: true,
             containerSelector: '[data-cookie-consent]',
             acceptClass: 'js-cookie-accept',
+            acceptAllClass: 'js-cookie-accept-all',
             rejectClass: 'js-cookie-reject',
             settingsClass: 'js-cookie-settings',
             closeClass: 'js-cookie-close',
             showSettingsClass: 'js-cookie-show-settings',
             viewCookiesClass: 'js-cookie-view-cookies',
             categoryCheckboxClass: 'js-cookie-category',
+            vendorCheckboxClass: 'js-cookie-vendor',
+            vendorListClass: 'js-cookie-vendors',
             inlineCookiesClass: 'js-cookies-inline',
+            categoryAttribute: 'data-cookie-category',
+            categories: [
+                {
+                    id: 'necessary',
+                    label: 'Necessary cookies',
+                    description: 'Required for the site to function properly.',
+                    required: true
+                },
+                {
+                    id: 'analytics',
+                    label: 'Analytics cookies',
+                    description: 'Help us understand how visitors use our site.'
+                },
+                {
+                    id: 'marketing',
+                    label: 'Marketing cookies',
+                    description: 'Used to deliver personalised advertisements.'
+                }
+            ],
+            root: null,
+            observeElements: true,
+            autoClearCookies: true,
+            consentMode: false,
+            consentModeMapping: {
+                necessary: ['functionality_storage', 'security_storage'],
+                analytics: ['analytics_storage'],
+                marketing: ['ad_storage', 'ad_user_data', 'ad_personalization'],
+                preferences: ['personalization_storage']
+            },
+            consentModeWaitForUpdate: 500,
+            dataLayerName: 'dataLayer',
+            dataLayerEvent: 'cookie_consent_update',
+            consentLogEndpoint: null,
+            consentLogHeaders: {},
+            consentLogQueueLimit: 50,
+            variant: null,
+            variants: [],
+            analyticsEndpoint: null,
+            respectGpc: false,
+            respectDnt: false,
+            privacySignalCategories: ['marketing'],
+            privacySignalMode: 'silent',
+            privacySignalNoticeSelector: '[data-cookie-consent-signal-notice]',
+            jurisdiction: null,
+            consentModels: {
+                eu: 'opt-in',
+                uk: 'opt-in',
+                'us-ca': 'opt-out',
+                default: 'opt-in'
+            },
+            saleCategories: ['marketing'],
+            doNotSellClass: 'js-cookie-do-not-sell',
+            language: null,
+            translations: {},
+            closeOnEscape: true,
+            render: false,
+            position: null,
+            animation: null,
+            width: null,
+            templates: {},
+            settingsLinkSelector: '[data-cookie-consent-settings-link]',
+            trackerPatterns: [],
+            scanOnInit: false,
+            debug: false
         },
 
         /**
          * Initialise the library
          */
         init: function(options) {
+            // Initialising again, e.g. on a single page app route change, starts from a clean slate
+            if (this.initialised) {
+                const subscribers = this.subscribers;
+
+                this.destroy();
+                this.subscribers = subscribers;
+            }
+
+            this.initialised = true;
             this.config = { ...this.config, ...options };
+            this.consentModel = null;
+            this.language = this.config.language || this.detectLanguage();
+
+            if (debugLogging && this.config.debug) {
+                this.log('init', `${this.getConsentModel()} model for jurisdiction ${this.jurisdiction}, language ${this.language}`);
+            }
+
+            this.initConsentMode();
             this.container = document.querySelector(this.config.containerSelector);
 
+            if (!this.container && this.config.render) {
+                this.container = this.createContainer();
+            }
+
             if (!this.container) {
                 console.warn('Cookie consent container not found');
                 return;
             }
 
-            this.position = this.container.getAttribute('data-cookie-consent-position') || 'bottom-center';
-            this.animation = this.container.getAttribute('data-cookie-consent-animation') || 'slide';
-            this.width = this.container.getAttribute('data-cookie-consent-width') || 'full';
+            this.variant = this.config.variant || this.container.getAttribute('data-cookie-consent-variant') || this.assignVariant();
+
+            // A variant's layout wins over the page's own, otherwise it could not be tested against it
+            const variant = this.getVariant() || {};
+
+            this.position = variant.position || this.container.getAttribute('data-cookie-consent-position') || this.config.position || 'bottom-center';
+            this.animation = variant.animation || this.container.getAttribute('data-cookie-consent-animation') || this.config.animation || 'slide';
+            this.width = variant.width || this.container.getAttribute('data-cookie-consent-width') || this.config.width || 'full';
+
+            if (this.variant) {
+                this.container.setAttribute('data-cookie-consent-variant', this.variant);
+            }
+            this.container.setAttribute('data-cookie-consent-model', this.getConsentModel());
+
+            this.queryRoot(`.${this.config.doNotSellClass}`).forEach(el => {
+                const hidden = el.hidden;
+
+                el.hidden = this.getConsentModel() !== 'opt-out';
+                this.restores.push(() => {
+                    el.hidden = hidden;
+                });
+            });
+
+            if (this.config.render) {
+                this.render();
+            }
 
             this.applyPositioning();
+            this.renderVendorLists();
             this.bindEvents();
-            this.checkConsent();
+
+            if (this.config.render) {
+                this.renderSettingsLinks();
+            }
+
+            const consent = this.checkConsent();
+
+            // The consent hub is experimental and often partitioned, so the page never waits for it
+            // ready resolves once its answer has been applied
+            this.ready = this.config.crossDomain
+                ? this.syncWithHub().then(() => this.getConsent())
+                : Promise.resolve(consent);
+
             this.renderInlineCookies();
+            this.observeElements();
+            this.initConsentLog();
+            this.initTabSync();
+
+            if (this.config.scanOnInit || this.config.debug) {
+                this.scan();
+            }
+
+            // The inspector lives in ccmanager-debug.js so production builds can leave it out
+            if (this.config.debug && window.CookieConsentInspector) {
+                window.CookieConsentInspector.init({ core: this });
+            }
+        },
+
+        /**
+         * Create an independent instance with its own container, cookie and configuration
+         */
+        create: function(options) {
+            const instance = this.instantiate();
+
+            instance.init(options);
+
+            return instance;
+        },
+
+        /**
+         * Make an instance with its own state and configuration without initialising it
+         * Nothing touches the page, so this is also how server code reads consent
+         */
+        instantiate: function(options) {
+            const instance = Object.create(CookieConsent);
+
+            instance.uid = 'cookie-consent-' + (++instanceCount);
+            instance.config = { ...defaultConfig, ...options };
+            instance.resetState();
+
+            return instance;
+        },
+
+        /**
+         * Set up the per-instance state
+         */
+        resetState: function() {
+            this.initialised = false;
+            this.container = null;
+            this.consentModel = null;
+            this.jurisdiction = null;
+            this.consentLogBound = false;
+            this.consentLogFlushing = false;
+            this.consentLogQueue = null;
+            this.consentModeDefaultSent = false;
+            this.hub = null;
+            this.observer = null;
+            this.tabSync = null;
+            this.bannerFocus = null;
+            this.bannerInert = null;
+            this.bannerTimer = null;
+            this.signalNotice = false;
+            this.displayFocus = null;
+            this.liveRegion = null;
+            this.settingsLinks = null;
+            this.viewedCookies = null;
+            this.variant = null;
+            this.shownAt = null;
+            this.decidedAt = null;
+            this.subscribers = [];
+            this.listeners = [];
+            this.timers = [];
+            this.generated = [];
+            this.restores = [];
+            this.ready = Promise.resolve(null);
+        },
+
+        /**
+         * Remove every listener, timer and element the instance added
+         * The stored consent is kept, call init() again to start over
+         */
+        destroy: function() {
+            this.listeners.forEach(remove => remove());
+            this.timers.forEach(timer => clearTimeout(timer));
+
+            if (this.observer) {
+                this.observer.disconnect();
+            }
+
+            if (this.tabSync && this.tabSync !== 'storage') {
+                this.tabSync.close();
+            }
+
+            if (this.bannerFocus) {
+                this.bannerFocus();
+            }
+
+            if (this.bannerInert) {
+                this.bannerInert();
+            }
+
+            this.closeCookieDisplay();
+
+            (this.settingsLinks || []).forEach(placeholder => {
+                placeholder.innerHTML = '';
+            });
+
+            if (this.container && !this.generated.includes(this.container)) {
+                this.container.classList.remove('is-visible');
+                this.container.style.display = 'none';
+
+                if (this.container.hasAttribute('data-cookie-consent-rendered')) {
+                    this.container.innerHTML = '';
+                    this.container.removeAttribute('data-cookie-consent-rendered');
+                }
+            }
+
+            this.generated.forEach(el => el.remove());
+            this.restores.forEach(restore => restore());
+
+            const config = this.config;
+            this.resetState();
+            this.config = config;
+        },
+
+        /**
+         * Add an event listener that destroy() removes
+         */
+        listen: function(target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            this.listeners.push(() => target.removeEventListener(type, handler, options));
+        },
+
+        /**
+         * Run a callback after a delay, cancelled by destroy()
+         * Returns the timer for cancel()
+         */
+        later: function(callback, delay) {
+            const timer = setTimeout(() => {
+                this.timers = this.timers.filter(item => item !== timer);
+                callback();
+            }, delay);
+
+            this.timers.push(timer);
+
+            return timer;
+        },
+
+        /**
+         * Cancel a callback scheduled with later()
+         */
+        cancel: function(timer) {
+            clearTimeout(timer);
+            this.timers = this.timers.filter(item => item !== timer);
+        },
+
+        /**
+         * Log a lifecycle step to the console in debug mode
+         * Callers check debugLogging and config.debug first, so nothing is built for the message when debug is off
+         */
+        log: function(step, message, data) {
+            if (!debugLogging || !this.config.debug) {
+                return;
+            }
+
+            const prefix = this.uid === 'cookie-consent' ? 'Cookie consent' : `Cookie consent (${this.uid})`;
+            const args = [`${prefix} [${step}]: ${message}`];
+
+            if (data !== undefined) {
+                args.push(data);
+            }
+
+            console.info.apply(console, args);
+        },
+
+        /**
+         * Pick a variant from the variants option, weighted by each variant's weight
+         * A visitor who has decided keeps the variant they decided on; until then the pick is kept in sessionStorage,
+         * so it lasts for the browsing session and is gone when the tab closes
+         */
+        assignVariant: function() {
+            const variants = this.config.variants.filter(variant => variant && variant.id);
+            const ids = variants.map(variant => variant.id);
+
+            if (variants.length === 0) {
+                return null;
+            }
+
+            const key = this.config.cookieName + '_variant';
+            const consent = this.readConsent();
+            let assigned = null;
+
+            try {
+                assigned = window.sessionStorage.getItem(key);
+            } catch (e) {
+                // Storage can be unavailable, a variant is then picked on each page load
+            }
+
+            if (consent && ids.includes(consent.variant)) {
+                return consent.variant;
+            }
+
+            if (ids.includes(assigned)) {
+                return assigned;
+            }
+
+            const weight = variant => (typeof variant.weight === 'number' && variant.weight >= 0 ? variant.weight : 1);
+            let pick = Math.random() * variants.reduce((total, variant) => total + weight(variant), 0);
+            const chosen = variants.find(variant => (pick -= weight(variant)) < 0) || variants[variants.length - 1];
+
+            try {
+                window.sessionStorage.setItem(key, chosen.id);
+            } catch (e) {
+                // As above
+            }
+
+            return chosen.id;
+        },
+
+        /**
+         * Get the settings for the active variant, or null
+         */
+        getVariant: function() {
+            return this.config.variants.find(variant => variant && variant.id === this.variant) || null;
+        },
+
+        /**
+         * Get how long the visitor took to decide, in milliseconds from the banner being shown
+         * Null until they have decided on this page
+         */
+        getTimeToDecision: function() {
+            return this.shownAt && this.decidedAt ? this.decidedAt - this.shownAt : null;
         },
 
         /**
@@ -97,223 +561,2795 @@
                 }
             }
 
-            this.container.setAttribute('data-cookie-consent-animation', this.animation);
+            this.container.setAttribute('data-cookie-consent-animation', this.animation);
+        },
+
+        /**
+         * Bind event listeners to buttons
+         */
+        bindEvents: function() {
+            const showSettingsBtns = this.queryRoot(`.${this.config.showSettingsClass}`);
+            const viewCookiesBtns = this.queryRoot(`.${this.config.viewCookiesClass}`);
+            // Those inside the banner are bound by bindContainerEvents(), which runs again after a re-render
+            const doNotSellBtns = this.queryRoot(`.${this.config.doNotSellClass}`).filter(btn => !this.container.contains(btn));
+
+            this.bindContainerEvents();
+
+            // Delegated, so it survives re-rendering; see getSelectedVendors()
+            this.listen(this.container, 'change', (e) => this.handleCheckboxChange(e.target));
+
+            showSettingsBtns.forEach(btn => {
+                this.listen(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.showPreferences();
+                });
+            });
+
+            viewCookiesBtns.forEach(btn => {
+                this.listen(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.viewCookies();
+                });
+            });
+
+            doNotSellBtns.forEach(btn => {
+                this.listen(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.optOut();
+                });
+            });
+        },
+
+        /**
+         * Mark vendor boxes the user has changed, and keep untouched ones in step with their category box
+         */
+        handleCheckboxChange: function(checkbox) {
+            if (checkbox.classList.contains(this.config.vendorCheckboxClass)) {
+                checkbox.setAttribute('data-cookie-consent-changed', '');
+                return;
+            }
+
+            if (!checkbox.classList.contains(this.config.categoryCheckboxClass)) {
+                return;
+            }
+
+            this.container.querySelectorAll(`.${this.config.vendorCheckboxClass}`).forEach(vendorCheckbox => {
+                if (vendorCheckbox.getAttribute('data-category') === checkbox.value &&
+                    !vendorCheckbox.hasAttribute('data-cookie-consent-changed')) {
+                    vendorCheckbox.checked = checkbox.checked;
+                }
+            });
+        },
+
+        /**
+         * Bind the buttons inside the banner
+         */
+        bindContainerEvents: function() {
+            const acceptBtns = this.container.querySelectorAll(`.${this.config.acceptClass}`);
+            const acceptAllBtns = this.container.querySelectorAll(`.${this.config.acceptAllClass}`);
+            const rejectBtns = this.container.querySelectorAll(`.${this.config.rejectClass}`);
+            const closeBtns = this.container.querySelectorAll(`.${this.config.closeClass}`);
+            const settingsBtns = this.container.querySelectorAll(`.${this.config.settingsClass}`);
+            const doNotSellBtns = this.container.querySelectorAll(`.${this.config.doNotSellClass}`);
+
+            acceptBtns.forEach(btn => {
+                this.listen(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.accept();
+                });
+            });
+
+            rejectBtns.forEach(btn => {
+                this.listen(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.reject();
+                });
+            });
+
+            acceptAllBtns.forEach(btn => {
+                this.listen(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.acceptAll();
+                });
+            });
+
+            closeBtns.forEach(btn => {
+                this.listen(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.hide();
+                });
+            });
+
+            settingsBtns.forEach(btn => {
+                this.listen(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.showView('preferences');
+                });
+            });
+
+            doNotSellBtns.forEach(btn => {
+                this.listen(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.optOut();
+                });
+            });
+
+            this.container.querySelectorAll('[role="tablist"]').forEach(tablist => this.bindTabs(tablist));
+        },
+
+        /**
+         * Switch tabs on click and with the arrow, Home and End keys
+         */
+        bindTabs: function(tablist) {
+            const tabs = () => Array.from(tablist.querySelectorAll('[role="tab"]'));
+
+            this.listen(tablist, 'click', (e) => {
+                const tab = e.target.closest('[role="tab"]');
+
+                if (tab && tablist.contains(tab)) {
+                    this.selectTab(tab);
+                }
+            });
+
+            this.listen(tablist, 'keydown', (e) => {
+                const list = tabs();
+                const index = list.indexOf(document.activeElement);
+                const rtl = this.getDirection() === 'rtl';
+                const moves = {
+                    ArrowRight: rtl ? -1 : 1,
+                    ArrowLeft: rtl ? 1 : -1,
+                    ArrowDown: 1,
+                    ArrowUp: -1
+                };
+                let next = null;
+
+                if (index === -1) {
+                    return;
+                }
+
+                if (moves[e.key]) {
+                    next = list[(index + moves[e.key] + list.length) % list.length];
+                } else if (e.key === 'Home') {
+                    next = list[0];
+                } else if (e.key === 'End') {
+                    next = list[list.length - 1];
+                }
+
+                if (next) {
+                    e.preventDefault();
+                    this.selectTab(next);
+                    next.focus();
+                }
+            });
+        },
+
+        /**
+         * Select a tab and show its panel
+         */
+        selectTab: function(tab) {
+            const tablist = tab.closest('[role="tablist"]');
+
+            tablist.querySelectorAll('[role="tab"]').forEach(item => {
+                const selected = item === tab;
+                const panel = document.getElementById(item.getAttribute('aria-controls'));
+
+                item.setAttribute('aria-selected', selected ? 'true' : 'false');
+                item.tabIndex = selected ? 0 : -1;
+
+                if (panel) {
+                    panel.hidden = !selected;
+                }
+            });
+        },
+
+        /**
+         * Check if consent has been given
+         */
+        checkConsent: function() {
+            this.repairStoredConsent();
+
+            const stored = this.readConsent();
+            let consent = stored && !this.isConsentExpired(stored) ? stored : null;
+            const signal = this.getPrivacySignal();
+            let showNotice = false;
+
+            if (!stored && debugLogging && this.config.debug) {
+                this.log('checkConsent', 'no stored decision');
+            }
+
+            if (stored && !consent) {
+                if (debugLogging && this.config.debug) {
+                    this.log('checkConsent', 'stored decision has expired', stored);
+                }
+
+                // Removing the record means the next page load sees a first visit, so the event fires once
+                this.clearConsent();
+                this.triggerEvent('consent-expired', { consent: stored });
+                this.clearRejectedCategories();
+            }
+
+            if (signal && (!consent || this.getSignalBlockedCategories().some(id => consent.categories.includes(id)))) {
+                if (debugLogging && this.config.debug) {
+                    this.log('checkConsent', `honouring the browser's ${signal.toUpperCase()} signal`);
+                }
+
+                consent = this.applyPrivacySignal(signal, consent);
+                showNotice = this.config.privacySignalMode === 'notice';
+            }
+
+            const reprompt = consent ? this.getRepromptReason(consent) : null;
+            // A signal alone only answers for its own categories, the rest have never been asked about
+            const unasked = reprompt && consent.source !== 'user' && Array.isArray(consent.knownCategories) &&
+                consent.knownCategories.every(id => this.isRequired(id) || this.getSignalBlockedCategories().includes(id));
+
+            if (!consent || reprompt || showNotice) {
+                if (debugLogging && this.config.debug) {
+                    if (unasked) {
+                        this.log('checkConsent', `asking about the categories the ${consent.source.toUpperCase()} signal does not cover`);
+                    } else if (reprompt) {
+                        this.log('checkConsent', reprompt.reason === 'revision'
+                            ? `policy revision changed from ${reprompt.previousRevision} to ${reprompt.revision}`
+                            : `new categories ${reprompt.newCategories.join(', ')}`);
+                    }
+                    this.log('checkConsent', showNotice && consent && !reprompt ? 'showing the privacy signal notice' : 'showing the banner');
+                }
+
+                if (reprompt && !unasked) {
+                    this.triggerEvent('consent-reprompt', reprompt);
+                }
+
+                this.show();
+            } else {
+                if (debugLogging && this.config.debug) {
+                    this.log('checkConsent', `valid decision, granted ${consent.categories.join(', ')}`, consent);
+                }
+
+                this.hide();
+            }
+
+            if (consent) {
+                this.updateConsentMode('restore');
+            }
+
+            this.activateElements();
+            this.notifySubscribers();
+
+            return consent;
+        },
+
+        /**
+         * Detect an opt-out signal from the browser that the configuration says to honour
+         * Returns 'gpc', 'dnt' or null
+         */
+        getPrivacySignal: function() {
+            const navigator = window.navigator;
+
+            if (this.config.respectGpc && navigator.globalPrivacyControl === true) {
+                return 'gpc';
+            }
+
+            if (this.config.respectDnt && [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack].some(value => value === '1' || value === 'yes')) {
+                return 'dnt';
+            }
+
+            return null;
+        },
+
+        /**
+         * Get the categories a detected browser signal opts the user out of
+         */
+        getSignalBlockedCategories: function() {
+            if (!this.getPrivacySignal()) {
+                return [];
+            }
+
+            return this.config.privacySignalCategories.filter(id => !this.isRequired(id));
+        },
+
+        /**
+         * Record a rejection of the signal's categories, keeping any other choices already made
+         * Under opt-in, categories the user has not chosen yet are left out of knownCategories so the banner still asks
+         */
+        applyPrivacySignal: function(signal, consent) {
+            const blocked = this.getSignalBlockedCategories();
+            const categories = (consent ? consent.categories : this.getDefaultCategories())
+                .filter(id => !blocked.includes(id));
+            const consentData = this.createConsentRecord(categories.some(id => !this.isRequired(id)), categories, signal);
+
+            if (consent && Array.isArray(consent.knownCategories)) {
+                consentData.knownCategories = consentData.knownCategories
+                    .filter(id => consent.knownCategories.includes(id) || blocked.includes(id));
+            } else if (!consent && this.getConsentModel() === 'opt-in') {
+                consentData.knownCategories = this.getRequiredCategories().concat(blocked);
+            }
+
+            consentData.vendors = consent && consent.vendors ? consent.vendors : {};
+
+            this.saveConsent(consentData);
+            this.sendToHub('set', consentData);
+            this.logConsent(consentData, 'privacy-signal');
+            this.clearRejectedCategories();
+            this.triggerEvent('privacy-signal', { signal: signal, categories: blocked, consent: consentData });
+
+            // Revealed by the show() that follows, and by that one only
+            this.signalNotice = this.config.privacySignalMode === 'notice';
+
+            return consentData;
+        },
+
+        /**
+         * Show or hide the notice explaining that a browser signal was honoured
+         */
+        togglePrivacySignalNotice: function(visible) {
+            this.container.querySelectorAll(this.config.privacySignalNoticeSelector).forEach(notice => {
+                notice.hidden = !visible;
+            });
+        },
+
+        /**
+         * Work out whether a stored choice needs to be asked for again
+         * Returns null when the choice is still current
+         */
+        getRepromptReason: function(consent) {
+            const revision = this.config.revision;
+
+            if (this.compareRevisions(revision, consent.revision || 0) > 0) {
+                return {
+                    reason: 'revision',
+                    revision: revision,
+                    previousRevision: consent.revision || 0,
+                    consent: consent
+                };
+            }
+
+            if (Array.isArray(consent.knownCategories)) {
+                const newCategories = this.getCategories()
+                    .map(category => category.id)
+                    .filter(id => !consent.knownCategories.includes(id));
+
+                if (newCategories.length > 0) {
+                    return {
+                        reason: 'new-categories',
+                        newCategories: newCategories,
+                        consent: consent
+                    };
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Compare two policy revisions
+         * Numbers compare numerically, strings such as '1.2.0' compare segment by segment
+         */
+        compareRevisions: function(a, b) {
+            const left = String(a).split('.');
+            const right = String(b).split('.');
+
+            for (let i = 0; i < Math.max(left.length, right.length); i++) {
+                const x = left[i] || '0';
+                const y = right[i] || '0';
+                const diff = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+
+                if (diff !== 0) {
+                    return diff > 0 ? 1 : -1;
+                }
+            }
+
+            return 0;
+        },
+
+        /**
+         * Accept cookies
+         */
+        accept: function() {
+            this.acceptSelection(this.getSelectedVendors());
+        },
+
+        /**
+         * Store the ticked categories, or every category when there are no boxes, with the given vendor choices
+         */
+        acceptSelection: function(vendors) {
+            const selected = this.getSelectedCategories();
+            const categories = selected.length > 0 ? selected : this.getCategories().map(category => category.id);
+            const blocked = this.getSignalBlockedCategories();
+            const granted = this.getRequiredCategories().concat(categories.filter(id => !this.isRequired(id) && !blocked.includes(id)));
+            const accepted = granted.some(id => !this.isRequired(id));
+            const consentData = this.createConsentRecord(accepted, granted);
+
+            consentData.vendors = vendors;
+
+            // Saving with only the required categories ticked is a rejection, and is stored and reported as one
+            if (accepted) {
+                this.saveDecision(consentData, 'accept', 'consent-given');
+            } else {
+                this.saveDecision(consentData, 'reject', 'consent-rejected');
+            }
+        },
+
+        /**
+         * Accept every category and vendor the user can choose
+         */
+        acceptAll: function() {
+            this.container.querySelectorAll(`.${this.config.categoryCheckboxClass}, .${this.config.vendorCheckboxClass}`).forEach(checkbox => {
+                if (!checkbox.disabled) {
+                    checkbox.checked = true;
+                    this.handleCheckboxChange(checkbox);
+                }
+            });
+
+            // Granted by name, as a banner without vendor boxes would otherwise keep refusals from an earlier decision
+            const vendors = this.getSelectedVendors();
+
+            this.getCategories().forEach(category => {
+                category.vendors.forEach(vendor => {
+                    vendors[category.id] = { ...vendors[category.id], [vendor.id]: true };
+                });
+            });
+
+            this.acceptSelection(vendors);
+        },
+
+        /**
+         * Reject cookies
+         */
+        reject: function() {
+            const consentData = this.createConsentRecord(false, this.getRequiredCategories());
+
+            this.saveDecision(consentData, 'reject', 'consent-rejected');
+        },
+
+        /**
+         * Opt out of the sale or sharing of personal information, keeping other categories
+         */
+        optOut: function() {
+            const categories = this.getCategories()
+                .map(category => category.id)
+                .filter(id => this.hasConsent(id) && (this.isRequired(id) || !this.config.saleCategories.includes(id)));
+            const consent = this.getConsent();
+            const consentData = this.createConsentRecord(
+                categories.some(id => !this.isRequired(id)),
+                categories
+            );
+
+            consentData.vendors = consent && consent.vendors ? consent.vendors : {};
+
+            this.saveDecision(consentData, 'opt-out', 'consent-opted-out');
+        },
+
+        /**
+         * Store a decision and bring the page in line with it
+         */
+        saveDecision: function(consentData, action, eventName) {
+            if (debugLogging && this.config.debug) {
+                this.log('saveDecision', `${action}, granted ${consentData.categories.join(', ')}`, consentData);
+            }
+
+            this.decidedAt = Date.now();
+            this.saveConsent(consentData);
+            this.sendToHub('set', consentData);
+            this.logConsent(consentData, action);
+            this.clearRejectedCategories();
+            this.hide();
+            this.triggerEvent(eventName, consentData);
+            this.updateConsentMode(action);
+            this.activateElements();
+            this.notifySubscribers();
+            this.broadcastChange();
+
+            const announcements = { accept: 'announceAccept', reject: 'announceReject', 'opt-out': 'announceOptOut' };
+            this.announce(this.t(announcements[action]));
+        },
+
+        /**
+         * Get the jurisdiction the visitor is treated as being in
+         * Taken from the jurisdiction option, a callback, or the timezone when set to 'auto'
+         */
+        getJurisdiction: function() {
+            const jurisdiction = this.config.jurisdiction;
+
+            if (typeof jurisdiction === 'function') {
+                return jurisdiction.call(this) || 'default';
+            }
+
+            if (jurisdiction === 'auto') {
+                return this.guessJurisdiction();
+            }
+
+            return jurisdiction || 'default';
+        },
+
+        /**
+         * Guess the jurisdiction from the browser's timezone
+         * A heuristic only, pass the jurisdiction in when you know it from the server
+         */
+        guessJurisdiction: function() {
+            let timeZone = '';
+
+            try {
+                timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+            } catch (e) {
+                return 'default';
+            }
+
+            if (['Europe/London', 'Europe/Belfast', 'Europe/Guernsey', 'Europe/Isle_of_Man', 'Europe/Jersey'].includes(timeZone)) {
+                return 'uk';
+            }
+
+            if (/^Europe\//.test(timeZone) || ['Atlantic/Azores', 'Atlantic/Canary', 'Atlantic/Madeira', 'Atlantic/Reykjavik'].includes(timeZone)) {
+                return 'eu';
+            }
+
+            if (['America/Los_Angeles', 'US/Pacific', 'PST8PDT'].includes(timeZone)) {
+                return 'us-ca';
+            }
+
+            if (/^(America\/(New_York|Chicago|Denver|Phoenix|Anchorage|Detroit|Boise|Indiana|Kentucky|North_Dakota)|Pacific\/Honolulu|US\/)/.test(timeZone)) {
+                return 'us';
+            }
+
+            return 'default';
+        },
+
+        /**
+         * Get the consent model for the visitor's jurisdiction: 'opt-in', 'opt-out' or 'notice'
+         */
+        getConsentModel: function() {
+            if (!this.consentModel) {
+                const models = this.config.consentModels;
+                const jurisdiction = this.getJurisdiction();
+
+                this.jurisdiction = jurisdiction;
+                this.consentModel = models[jurisdiction] || models.default || 'opt-in';
+            }
+
+            return this.consentModel;
+        },
+
+        /**
+         * Get the categories granted before the visitor has made a choice
+         */
+        getDefaultCategories: function() {
+            if (this.getConsentModel() === 'opt-in') {
+                return this.getRequiredCategories();
+            }
+
+            const blocked = this.getSignalBlockedCategories();
+
+            return this.getCategories()
+                .map(category => category.id)
+                .filter(id => !blocked.includes(id));
+        },
+
+        /**
+         * Build a consent record for the current policy revision and category registry
+         */
+        createConsentRecord: function(accepted, categories, source) {
+            const now = new Date();
+
+            return {
+                id: this.generateConsentId(),
+                accepted: accepted,
+                categories: categories,
+                timestamp: now.toISOString(),
+                expires: new Date(now.getTime() + this.getConsentMaxAge(accepted) * 24 * 60 * 60 * 1000).toISOString(),
+                revision: this.config.revision,
+                knownCategories: this.getCategories().map(category => category.id),
+                vendors: {},
+                source: source || 'user',
+                privacySignal: this.getPrivacySignal(),
+                variant: this.variant || null
+            };
+        },
+
+        /**
+         * Generate a unique consent id that users can quote to support
+         */
+        generateConsentId: function() {
+            const cryptoApi = window ? window.crypto : globalThis.crypto;
+
+            if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+                return cryptoApi.randomUUID();
+            }
+
+            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+                const r = Math.random() * 16 | 0;
+                return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+            });
+        },
+
+        /**
+         * Get how long a decision stays valid, in days
+         */
+        getConsentMaxAge: function(accepted) {
+            const maxAge = this.config.consentMaxAge;
+
+            if (typeof maxAge === 'number') {
+                return maxAge;
+            }
+
+            return accepted ? maxAge.accepted : maxAge.rejected;
+        },
+
+        /**
+         * Check if a consent record is older than its maximum age
+         * The configured maximum age also applies, so shortening it expires older records
+         */
+        isConsentExpired: function(consent) {
+            const now = Date.now();
+            const timestamp = Date.parse(consent.timestamp);
+
+            if (consent.expires && Date.parse(consent.expires) <= now) {
+                return true;
+            }
+
+            return !isNaN(timestamp) && timestamp + this.getConsentMaxAge(consent.accepted) * 24 * 60 * 60 * 1000 <= now;
+        },
+
+        /**
+         * Store a consent record
+         */
+        saveConsent: function(consentData) {
+            const value = this.serializeConsent(consentData);
+
+            this.setCookie(this.config.cookieName, value, this.config.cookieExpiry);
+
+            if (this.config.localStorageFallback) {
+                try {
+                    window.localStorage.setItem(this.config.cookieName, value);
+                } catch (e) {
+                    // Storage can be unavailable, the cookie still holds the decision
+                }
+            }
+        },
+
+        /**
+         * Read the stored consent record, including expired ones
+         * Restores the cookie from localStorage when it has gone but the decision is still valid
+         */
+        readConsent: function() {
+            const cookie = this.getCookie(this.config.cookieName);
+
+            if (cookie) {
+                return this.parseConsent(cookie);
+            }
+
+            if (!this.config.localStorageFallback) {
+                return null;
+            }
+
+            try {
+                const stored = window.localStorage.getItem(this.config.cookieName);
+                const consent = stored ? this.parseConsent(stored) : null;
+
+                if (consent && !this.isConsentExpired(consent)) {
+                    this.setCookie(this.config.cookieName, stored, this.config.cookieExpiry);
+                }
+
+                return consent;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Turn a consent record into the value stored in the cookie
+         */
+        serializeConsent: function(consentData) {
+            return consentFormatVersion + '.' + this.encodeBase64Url(JSON.stringify(consentData));
+        },
+
+        /**
+         * Read a consent record from a stored value, or null when it is missing, corrupt or fails validation
+         * Plain JSON from earlier versions, encoded or not, is still read
+         */
+        parseConsent: function(value) {
+            const encoded = typeof value === 'string' ? value.match(/^(\d+)\.([A-Za-z0-9_-]+)$/) : null;
+
+            try {
+                if (encoded) {
+                    return Number(encoded[1]) === consentFormatVersion
+                        ? this.validateConsent(JSON.parse(this.decodeBase64Url(encoded[2])))
+                        : null;
+                }
+
+                return this.validateConsent(JSON.parse(decodeURIComponent(value)));
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Check that a value has the shape of a consent record
+         * Only accepted, categories and timestamp are required, so records from earlier versions still pass
+         */
+        validateConsent: function(consent) {
+            const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+            const isMap = (value, test) => !!value && typeof value === 'object' && !Array.isArray(value) &&
+                Object.keys(value).every(key => test(value[key]));
+            const optional = (key, test) => consent[key] === undefined || test(consent[key]);
+
+            if (!consent || typeof consent !== 'object' || Array.isArray(consent)) {
+                return null;
+            }
+
+            const valid = typeof consent.accepted === 'boolean' &&
+                isStringList(consent.categories) &&
+                typeof consent.timestamp === 'string' && !isNaN(Date.parse(consent.timestamp)) &&
+                optional('id', value => typeof value === 'string') &&
+                optional('expires', value => typeof value === 'string' && !isNaN(Date.parse(value))) &&
+                optional('revision', value => typeof value === 'number' || typeof value === 'string') &&
+                optional('knownCategories', isStringList) &&
+                optional('vendors', value => isMap(value, choices => isMap(choices, choice => typeof choice === 'boolean'))) &&
+                optional('source', value => ['user', 'gpc', 'dnt'].includes(value)) &&
+                optional('privacySignal', value => value === null || ['gpc', 'dnt'].includes(value)) &&
+                optional('variant', value => value === null || typeof value === 'string');
+
+            return valid ? consent : null;
+        },
+
+        /**
+         * Deal with a stored value that is not in the current format
+         * Valid records from earlier versions are re-saved encoded; anything unreadable is removed
+         * so the user is asked again, with a consent-invalid event
+         */
+        repairStoredConsent: function() {
+            let value = this.getCookie(this.config.cookieName);
+
+            if (!value && this.config.localStorageFallback) {
+                try {
+                    value = window.localStorage.getItem(this.config.cookieName);
+                } catch (e) {
+                    value = null;
+                }
+            }
+
+            if (!value || (value.indexOf(consentFormatVersion + '.') === 0 && this.parseConsent(value))) {
+                return;
+            }
+
+            const consent = this.parseConsent(value);
+
+            if (consent) {
+                if (debugLogging && this.config.debug) {
+                    this.log('repairStoredConsent', 'converting a decision stored by an earlier version');
+                }
+
+                this.saveConsent(consent);
+                return;
+            }
+
+            if (debugLogging && this.config.debug) {
+                this.log('repairStoredConsent', 'discarding an unreadable stored decision', value);
+            }
+
+            this.deleteCookie(this.config.cookieName);
+
+            try {
+                window.localStorage.removeItem(this.config.cookieName);
+            } catch (e) {
+                // Storage can be unavailable
+            }
+
+            this.triggerEvent('consent-invalid', { value: value });
+        },
+
+        /**
+         * Encode text as base64url, safe to store in a cookie without escaping
+         */
+        encodeBase64Url: function(text) {
+            const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+            return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        },
+
+        /**
+         * Decode base64url text written by encodeBase64Url()
+         */
+        decodeBase64Url: function(value) {
+            const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+
+            return decodeURIComponent(binary.replace(/[\s\S]/g, char => '%' + ('0' + char.charCodeAt(0).toString(16)).slice(-2)));
+        },
+
+        /**
+         * Check whether the stored decision is missing, expired or out of date
+         * The same test checkConsent() uses to decide whether to show the banner, without the privacy signals
+         */
+        needsConsent: function() {
+            const consent = this.getConsent();
+            return !consent || !!this.getRepromptReason(consent);
+        },
+
+        /**
+         * Remove the stored consent record
+         */
+        clearConsent: function() {
+            // The hub keeps a dated marker, so an older record elsewhere cannot bring the decision back
+            this.sendToHub('clear', { revoked: true, timestamp: new Date().toISOString() });
+            this.clearLocalConsent();
+        },
+
+        /**
+         * Remove the consent record from this site only
+         */
+        clearLocalConsent: function() {
+            this.deleteCookie(this.config.cookieName);
+
+            try {
+                window.localStorage.removeItem(this.config.cookieName);
+            } catch (e) {
+                // Storage can be unavailable
+            }
+        },
+
+        /**
+         * Load the consent hub in a hidden iframe and reconcile its record with the local one
+         * The newest of the two wins, including a revocation marker left by clearConsent() on another site
+         * Resolves once the hub has answered, or after the timeout
+         */
+        syncWithHub: function() {
+            const options = { timeout: 1500, ...this.config.crossDomain };
+            const isNewer = (a, b) => Date.parse(a.timestamp) > Date.parse(b.timestamp);
+
+            return this.connectHub(options)
+                .then(() => this.requestFromHub('get'))
+                .then(response => {
+                    const remote = this.validateConsent(response) ||
+                        (response && response.revoked === true && !isNaN(Date.parse(response.timestamp)) ? response : null);
+                    const local = this.readConsent();
+
+                    if (remote && !remote.revoked && (!local || isNewer(remote, local))) {
+                        if (debugLogging && this.config.debug) {
+                            this.log('syncWithHub', 'using the newer decision from the hub', remote);
+                        }
+
+                        this.saveConsent(remote);
+                        this.triggerEvent('consent-synced', { consent: remote });
+                        this.applyRemoteChange('hub');
+                    } else if (remote && remote.revoked && local && isNewer(remote, local)) {
+                        if (debugLogging && this.config.debug) {
+                            this.log('syncWithHub', 'consent was withdrawn on another site', remote);
+                        }
+
+                        this.clearLocalConsent();
+                        this.applyRemoteChange('hub');
+                    } else if (local && (!remote || isNewer(local, remote))) {
+                        if (debugLogging && this.config.debug) {
+                            this.log('syncWithHub', 'sending the newer local decision to the hub', local);
+                        }
+
+                        this.sendToHub('set', local);
+                    }
+                })
+                .catch(error => {
+                    console.warn('Cookie consent hub unavailable:', error.message);
+                });
+        },
+
+        /**
+         * Create the hub iframe and listen for its replies
+         */
+        connectHub: function(options) {
+            if (this.hub) {
+                return this.hub.loaded;
+            }
+
+            const url = new URL(options.hubUrl, window.location.href);
+            const iframe = document.createElement('iframe');
+
+            iframe.src = url.href;
+            iframe.title = 'Cookie consent hub';
+            iframe.style.display = 'none';
+            iframe.setAttribute('aria-hidden', 'true');
+            iframe.tabIndex = -1;
+
+            this.hub = {
+                origin: url.origin,
+                iframe: iframe,
+                timeout: options.timeout,
+                requests: {},
+                nextId: 1
+            };
+
+            this.listen(window, 'message', (event) => {
+                const data = event.data;
+
+                // Only trust replies from the hub frame itself
+                if (event.origin !== this.hub.origin || event.source !== iframe.contentWindow ||
+                    !data || data.type !== 'cookie-consent-hub') {
+                    return;
+                }
+
+                const request = this.hub.requests[data.id];
+
+                if (request) {
+                    delete this.hub.requests[data.id];
+                    request(data.consent || null);
+                }
+            });
+
+            this.hub.loaded = new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('Timed out loading ' + url.href)), options.timeout);
+
+                iframe.addEventListener('load', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+
+            document.body.appendChild(iframe);
+            this.generated.push(iframe);
+
+            return this.hub.loaded;
+        },
+
+        /**
+         * Send a command to the hub and wait for its reply
+         */
+        requestFromHub: function(action, consent) {
+            return new Promise((resolve, reject) => {
+                const id = this.hub.nextId++;
+                const timer = setTimeout(() => {
+                    delete this.hub.requests[id];
+                    reject(new Error('Timed out waiting for the hub'));
+                }, this.hub.timeout);
+
+                this.hub.requests[id] = (result) => {
+                    clearTimeout(timer);
+                    resolve(result);
+                };
+
+                this.hub.iframe.contentWindow.postMessage({
+                    type: 'cookie-consent-hub',
+                    action: action,
+                    id: id,
+                    key: this.config.cookieName,
+                    consent: consent
+                }, this.hub.origin);
+            });
+        },
+
+        /**
+         * Tell the hub about a change without waiting for the reply
+         */
+        sendToHub: function(action, consent) {
+            if (!this.config.crossDomain || !this.hub) {
+                return;
+            }
+
+            this.hub.loaded
+                .then(() => this.requestFromHub(action, consent))
+                .catch(() => {
+                    // The local record still holds the decision
+                });
+        },
+
+        /**
+         * Listen for decisions made in other tabs
+         * Uses BroadcastChannel where available, otherwise storage events on the localStorage copy
+         */
+        initTabSync: function() {
+            if (this.tabSync) {
+                return;
+            }
+
+            if (typeof window.BroadcastChannel === 'function') {
+                this.tabSync = new window.BroadcastChannel(this.config.cookieName);
+                this.listen(this.tabSync, 'message', (event) => {
+                    if (event.data && event.data.type === 'consent-changed') {
+                        this.applyRemoteChange('tab');
+                    }
+                });
+                return;
+            }
+
+            this.tabSync = 'storage';
+            this.listen(window, 'storage', (event) => {
+                if (event.key === this.config.cookieName || event.key === null) {
+                    this.applyRemoteChange('tab');
+                }
+            });
+        },
+
+        /**
+         * Let other tabs know the decision has changed
+         */
+        broadcastChange: function() {
+            if (this.tabSync && this.tabSync !== 'storage') {
+                this.tabSync.postMessage({ type: 'consent-changed' });
+            }
+        },
+
+        /**
+         * Bring this page in line with a decision made in another tab, or on another site through the hub
+         */
+        applyRemoteChange: function(source) {
+            const consent = this.getConsent();
+
+            if (debugLogging && this.config.debug) {
+                this.log('applyRemoteChange', `${consent ? 'decision made' : 'consent withdrawn'} in another ${source === 'tab' ? 'tab' : 'site'}`, consent);
+            }
+
+            if (consent) {
+                this.hide();
+            } else {
+                this.show();
+            }
+
+            this.updateConsentMode(consent ? 'sync' : 'revoke');
+            this.activateElements();
+            this.triggerEvent('consent-changed', { consent: consent, source: source });
+            this.notifySubscribers();
+        },
+
+        /**
+         * Activate blocked scripts, iframes and images whose categories have consent
+         */
+        activateElements: function(root) {
+            const attr = this.config.categoryAttribute;
+            const selector = [
+                `script[${attr}][type="text/plain"]`,
+                `iframe[${attr}][data-src]`,
+                `img[${attr}][data-src]`
+            ].join(',');
+            const scope = root || this.getRoot();
+
+            if (!scope) {
+                return [];
+            }
+
+            const elements = Array.from(scope.querySelectorAll(selector));
+
+            if (scope.matches && scope.matches(selector)) {
+                elements.unshift(scope);
+            }
+
+            return elements.filter(el => this.activateElement(el));
+        },
+
+        /**
+         * Get the part of the page the instance gates: the root option, else the whole document
+         * for the global instance and its own container for one made with create()
+         */
+        getRoot: function() {
+            const root = typeof this.config.root === 'string'
+                ? document.querySelector(this.config.root)
+                : this.config.root;
+
+            return root || (this === CookieConsent ? document : this.container);
+        },
+
+        /**
+         * Find the elements matching a selector within getRoot(), the root itself included
+         */
+        queryRoot: function(selector) {
+            const scope = this.getRoot();
+
+            if (!scope) {
+                return [];
+            }
+
+            const elements = Array.from(scope.querySelectorAll(selector));
+
+            if (scope.matches && scope.matches(selector)) {
+                elements.unshift(scope);
+            }
+
+            return elements;
+        },
+
+        /**
+         * Activate a single blocked element if every category it lists has consent
+         */
+        activateElement: function(el) {
+            if (el.hasAttribute('data-cookie-activated')) {
+                return false;
+            }
+
+            const categories = (el.getAttribute(this.config.categoryAttribute) || '')
+                .split(/[\s,]+/)
+                .filter(Boolean);
+
+            const vendor = el.getAttribute('data-cookie-vendor') || undefined;
+
+            const missing = categories.filter(category => !this.hasConsent(category, vendor));
+
+            if (categories.length === 0 || missing.length > 0) {
+                if (debugLogging && this.config.debug) {
+                    this.log('activateElement', categories.length === 0
+                        ? `no ${this.config.categoryAttribute} categories listed`
+                        : `waiting for ${missing.join(', ')}${vendor ? ' (vendor ' + vendor + ')' : ''}`, el);
+                }
+
+                return false;
+            }
+
+            let activated = el;
+
+            if (el.tagName === 'SCRIPT') {
+                const script = document.createElement('script');
+
+                Array.from(el.attributes).forEach(attribute => {
+                    if (!['type', 'data-type', 'data-src'].includes(attribute.name)) {
+                        script.setAttribute(attribute.name, attribute.value);
+                    }
+                });
+
+                if (el.getAttribute('data-type')) {
+                    script.type = el.getAttribute('data-type');
+                }
+
+                if (el.getAttribute('data-src')) {
+                    script.src = el.getAttribute('data-src');
+                    // Dynamically inserted scripts are async by default, keep document order
+                    if (!el.hasAttribute('async')) {
+                        script.async = false;
+                    }
+                } else {
+                    script.textContent = el.textContent;
+                }
+
+                script.setAttribute('data-cookie-activated', '');
+                el.parentNode.replaceChild(script, el);
+                activated = script;
+            } else {
+                if (el.getAttribute('data-srcset')) {
+                    el.setAttribute('srcset', el.getAttribute('data-srcset'));
+                    el.removeAttribute('data-srcset');
+                }
+
+                el.setAttribute('src', el.getAttribute('data-src'));
+                el.removeAttribute('data-src');
+                el.setAttribute('data-cookie-activated', '');
+            }
+
+            this.triggerEvent('element-activated', { element: activated, categories: categories, vendor: vendor || null });
+
+            return true;
+        },
+
+        /**
+         * Watch for blocked elements added after initialisation
+         */
+        observeElements: function() {
+            const root = this.getRoot();
+
+            if (!this.config.observeElements || this.observer || !root || typeof MutationObserver === 'undefined') {
+                return;
+            }
+
+            this.observer = new MutationObserver(mutations => {
+                mutations.forEach(mutation => {
+                    mutation.addedNodes.forEach(node => {
+                        if (node.nodeType === 1 && !node.hasAttribute('data-cookie-activated')) {
+                            this.activateElements(node);
+                        }
+                    });
+                });
+            });
+
+            this.observer.observe(root === document ? document.documentElement : root, { childList: true, subtree: true });
+        },
+
+        /**
+         * Get the category registry with defaults filled in
+         */
+        getCategories: function() {
+            return this.config.categories.map(category => ({
+                label: category.id,
+                description: '',
+                required: false,
+                default: false,
+                cookies: [],
+                vendors: [],
+                ...category
+            }));
+        },
+
+        /**
+         * Get a single category from the registry
+         */
+        getCategory: function(id) {
+            return this.getCategories().find(category => category.id === id) || null;
+        },
+
+        /**
+         * Get the ids of categories that cannot be declined
+         */
+        getRequiredCategories: function() {
+            return this.getCategories()
+                .filter(category => category.required)
+                .map(category => category.id);
+        },
+
+        /**
+         * Check if a category is required
+         */
+        isRequired: function(id) {
+            const category = this.getCategory(id);
+            return !!(category && category.required);
+        },
+
+        /**
+         * Sync category checkboxes with the registry and the stored choice
+         */
+        syncCategoryCheckboxes: function() {
+            const checkboxes = this.container.querySelectorAll(`.${this.config.categoryCheckboxClass}`);
+            const consent = this.getConsent();
+
+            checkboxes.forEach(checkbox => {
+                const category = this.getCategory(checkbox.value);
+
+                if (!category) {
+                    return;
+                }
+
+                // Categories added since the user chose start from their default
+                const chosen = consent && (!consent.knownCategories || consent.knownCategories.includes(category.id));
+
+                if (category.required) {
+                    checkbox.checked = true;
+                    checkbox.disabled = true;
+                } else if (this.getSignalBlockedCategories().includes(category.id)) {
+                    checkbox.checked = false;
+                    checkbox.disabled = true;
+                } else {
+                    checkbox.checked = chosen || this.getConsentModel() !== 'opt-in'
+                        ? this.hasStoredConsent(category.id)
+                        : category.default;
+                }
+            });
+
+            this.container.querySelectorAll(`.${this.config.vendorCheckboxClass}`).forEach(checkbox => {
+                const category = this.getCategory(checkbox.getAttribute('data-category'));
+
+                if (!category) {
+                    return;
+                }
+
+                const vendor = category.vendors.find(item => item.id === checkbox.value) || {};
+                const chosen = consent && (!consent.knownCategories || consent.knownCategories.includes(category.id));
+
+                checkbox.removeAttribute('data-cookie-consent-changed');
+                checkbox.checked = chosen || this.getConsentModel() !== 'opt-in'
+                    ? this.hasStoredConsent(category.id, checkbox.value)
+                    : (vendor.default !== undefined ? vendor.default : category.default);
+            });
+        },
+
+        /**
+         * Get selected cookie categories from checkboxes
+         */
+        getSelectedCategories: function() {
+            const checkboxes = this.container.querySelectorAll(`.${this.config.categoryCheckboxClass}`);
+            const categories = [];
+
+            checkboxes.forEach(checkbox => {
+                if (checkbox.checked) {
+                    categories.push(checkbox.value);
+                }
+            });
+
+            return categories;
+        },
+
+        /**
+         * Get vendor choices from vendor checkboxes, keyed by category and then vendor id
+         * A vendor listed under two categories has a separate choice in each
+         */
+        getSelectedVendors: function() {
+            const checkboxes = this.container.querySelectorAll(`.${this.config.vendorCheckboxClass}`);
+            const consent = this.getConsent();
+            const vendors = {};
+
+            Object.keys((consent && consent.vendors) || {}).forEach(category => {
+                vendors[category] = { ...consent.vendors[category] };
+            });
+
+            // Only boxes the user changed are recorded; the rest follow their category
+            checkboxes.forEach(checkbox => {
+                const category = checkbox.getAttribute('data-category');
+
+                if (category && checkbox.hasAttribute('data-cookie-consent-changed')) {
+                    vendors[category] = { ...vendors[category], [checkbox.value]: checkbox.checked };
+                }
+            });
+
+            return vendors;
+        },
+
+        /**
+         * Render vendor toggles into js-cookie-vendors elements from the category registry
+         * The category comes from the element's data-category attribute
+         */
+        renderVendorLists: function() {
+            this.container.querySelectorAll(`.${this.config.vendorListClass}`).forEach(list => {
+                const category = this.getCategory(list.getAttribute('data-category'));
+
+                list.innerHTML = '';
+
+                if (!category || category.vendors.length === 0) {
+                    return;
+                }
+
+                const items = document.createElement('ul');
+                items.className = 'cookie-consent-vendors';
+
+                category.vendors.forEach(vendor => {
+                    const item = document.createElement('li');
+                    item.className = 'cookie-consent-vendor';
+
+                    const label = document.createElement('label');
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.className = this.config.vendorCheckboxClass;
+                    checkbox.value = vendor.id;
+                    checkbox.setAttribute('data-category', category.id);
+
+                    const name = document.createElement('span');
+                    name.className = 'cookie-consent-vendor-name';
+                    name.textContent = vendor.name || vendor.id;
+
+                    label.appendChild(checkbox);
+                    label.appendChild(name);
+                    item.appendChild(label);
+
+                    if (vendor.description) {
+                        const description = document.createElement('span');
+                        description.className = 'cookie-consent-vendor-description';
+                        description.textContent = vendor.description;
+                        item.appendChild(description);
+                    }
+
+                    items.appendChild(item);
+                });
+
+                list.appendChild(items);
+            });
+        },
+
+        /**
+         * Create the banner container when rendering without one in the page
+         */
+        createContainer: function() {
+            const container = document.createElement('div');
+
+            container.setAttribute('data-cookie-consent', '');
+            container.setAttribute('data-cookie-consent-position', this.config.position || 'bottom-center');
+            container.setAttribute('data-cookie-consent-animation', this.config.animation || 'slide');
+            container.setAttribute('data-cookie-consent-width', this.config.width || 'full');
+            container.style.display = 'none';
+            document.body.appendChild(container);
+            this.generated.push(container);
+
+            return container;
+        },
+
+        /**
+         * Build the banner and preference centre inside the container from the configuration
+         */
+        render: function() {
+            const context = this.getTemplateContext();
+            const view = this.container.querySelector('[data-cookie-consent-view]:not([hidden])');
+            const hadFocus = this.container.contains(document.activeElement);
+
+            this.container.innerHTML = '';
+            this.container.setAttribute('data-cookie-consent-rendered', '');
+            this.container.lang = this.getLanguage();
+            this.container.dir = this.getDirection();
+            this.container.appendChild(this.renderTemplate('banner', context));
+            this.container.appendChild(this.renderTemplate('preferences', context));
+
+            const heading = this.container.querySelector('h1, h2, h3, h4, h5, h6');
+
+            if (heading) {
+                heading.id = heading.id || `${this.uid}-title`;
+                this.container.setAttribute('aria-labelledby', heading.id);
+            }
+
+            if (view) {
+                this.showView(view.getAttribute('data-cookie-consent-view'));
+            }
+
+            if (hadFocus) {
+                const focusable = this.getFocusableElements(this.container);
+
+                if (focusable.length > 0) {
+                    focusable[0].focus();
+                }
+            }
+        },
+
+        /**
+         * Render a template, using the override from the templates option when there is one
+         * Overrides are an HTML string or a function returning an HTML string or a node
+         */
+        renderTemplate: function(name, context) {
+            const builders = {
+                banner: this.buildBanner,
+                preferences: this.buildPreferences,
+                settingsLink: this.buildSettingsLink
+            };
+            const override = this.config.templates[name];
+
+            if (!override) {
+                return builders[name].call(this, context);
+            }
+
+            const output = typeof override === 'function' ? override.call(this, context) : override;
+
+            if (output && typeof output === 'object' && output.nodeType) {
+                return output;
+            }
+
+            const template = document.createElement('template');
+            template.innerHTML = String(output || '');
+
+            return template.content;
+        },
+
+        /**
+         * Data passed to template overrides
+         */
+        getTemplateContext: function() {
+            return {
+                t: key => this.t(key),
+                escape: value => this.escapeHtml(value),
+                categories: this.getCategories(),
+                config: this.config,
+                model: this.getConsentModel(),
+                language: this.getLanguage(),
+                dir: this.getDirection()
+            };
+        },
+
+        /**
+         * Escape text for use in an HTML template
+         */
+        escapeHtml: function(value) {
+            return String(value === undefined || value === null ? '' : value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+
+        /**
+         * Create an element with a class and text content
+         */
+        buildElement: function(tag, className, text) {
+            const el = document.createElement(tag);
+
+            if (className) {
+                el.className = className;
+            }
+
+            if (text !== undefined) {
+                el.textContent = text;
+            }
+
+            return el;
+        },
+
+        /**
+         * Create a button wired up through the js-cookie-* classes
+         */
+        buildButton: function(actionClass, text, primary) {
+            const button = this.buildElement('button', `${actionClass} cookie-consent-button${primary ? ' cookie-consent-button-primary' : ''}`, text);
+
+            button.type = 'button';
+
+            return button;
+        },
+
+        /**
+         * Default banner markup
+         */
+        buildBanner: function(context) {
+            const banner = this.buildElement('div', 'cookie-consent-banner');
+            const body = this.buildElement('div', 'cookie-consent-body');
+            const actions = this.buildElement('div', 'cookie-consent-actions');
+
+            banner.setAttribute('data-cookie-consent-view', 'banner');
+            body.appendChild(this.buildElement('h2', 'cookie-consent-title', context.t('bannerTitle')));
+            body.appendChild(this.buildElement('p', 'cookie-consent-description', context.t('bannerDescription')));
+
+            actions.appendChild(this.buildButton(this.config.acceptAllClass, context.t('acceptAll'), true));
+
+            // Opt-out visitors are opted in until they say otherwise, and a notice only informs, so neither is offered a rejection here
+            if (context.model === 'opt-in') {
+                actions.appendChild(this.buildButton(this.config.rejectClass, context.t('rejectAll'), true));
+            } else if (context.model === 'opt-out') {
+                actions.appendChild(this.buildButton(this.config.doNotSellClass, context.t('doNotSell'), true));
+            }
+
+            actions.appendChild(this.buildButton(this.config.settingsClass, context.t('managePreferences')));
+
+            banner.appendChild(body);
+            banner.appendChild(actions);
+
+            return banner;
+        },
+
+        /**
+         * Default preference centre markup, one tab per category
+         */
+        buildPreferences: function(context) {
+            const preferences = this.buildElement('div', 'cookie-consent-preferences');
+            const tablist = this.buildElement('div', 'cookie-consent-tabs');
+            const panels = this.buildElement('div', 'cookie-consent-panels');
+            const actions = this.buildElement('div', 'cookie-consent-actions');
+            const title = this.buildElement('h2', 'cookie-consent-title', context.t('preferencesTitle'));
+
+            preferences.setAttribute('data-cookie-consent-view', 'preferences');
+            preferences.hidden = true;
+            title.id = `${this.uid}-preferences-title`;
+            tablist.setAttribute('role', 'tablist');
+            tablist.setAttribute('aria-labelledby', title.id);
+
+            context.categories.forEach((category, index) => {
+                const tab = this.buildElement('button', 'cookie-consent-tab', category.label);
+                const panel = this.buildElement('div', 'cookie-consent-panel');
+                const toggle = this.buildElement('label', 'cookie-consent-toggle');
+                const checkbox = document.createElement('input');
+
+                tab.type = 'button';
+                tab.id = `${this.uid}-tab-${category.id}`;
+                tab.setAttribute('role', 'tab');
+                tab.setAttribute('aria-controls', `${this.uid}-panel-${category.id}`);
+                tab.setAttribute('aria-selected', index === 0 ? 'true' : 'false');
+                tab.tabIndex = index === 0 ? 0 : -1;
+
+                panel.id = `${this.uid}-panel-${category.id}`;
+                panel.setAttribute('role', 'tabpanel');
+                panel.setAttribute('aria-labelledby', tab.id);
+                panel.tabIndex = 0;
+                panel.hidden = index !== 0;
+
+                checkbox.type = 'checkbox';
+                checkbox.className = this.config.categoryCheckboxClass;
+                checkbox.value = category.id;
+                checkbox.setAttribute('role', 'switch');
+
+                toggle.appendChild(checkbox);
+                toggle.appendChild(this.buildElement('span', 'cookie-consent-toggle-label', category.label));
+
+                if (category.required) {
+                    toggle.appendChild(this.buildElement('span', 'cookie-consent-always-active', context.t('alwaysActive')));
+                }
+
+                panel.appendChild(toggle);
+
+                if (category.description) {
+                    panel.appendChild(this.buildElement('p', 'cookie-consent-panel-description', category.description));
+                }
+
+                if (category.vendors.length > 0) {
+                    const vendors = this.buildElement('div', this.config.vendorListClass);
+                    vendors.setAttribute('data-category', category.id);
+                    panel.appendChild(vendors);
+                }
+
+                tablist.appendChild(tab);
+                panels.appendChild(panel);
+            });
+
+            actions.appendChild(this.buildButton(this.config.acceptClass, context.t('savePreferences'), true));
+            actions.appendChild(this.buildButton(this.config.acceptAllClass, context.t('acceptAll')));
+            actions.appendChild(this.buildButton(this.config.rejectClass, context.t('rejectAll')));
+
+            preferences.appendChild(title);
+            preferences.appendChild(tablist);
+            preferences.appendChild(panels);
+            preferences.appendChild(actions);
+
+            return preferences;
+        },
+
+        /**
+         * Default "cookie settings" link markup
+         */
+        buildSettingsLink: function(context) {
+            return this.buildButton(`${this.config.showSettingsClass} cookie-consent-settings-link`, context.t('cookieSettings'));
+        },
+
+        /**
+         * Render the cookie settings link into data-cookie-consent-settings-link placeholders
+         * Pages without a placeholder or their own js-cookie-show-settings button get a floating link
+         */
+        renderSettingsLinks: function() {
+            let placeholders = this.settingsLinks || Array.from(document.querySelectorAll(this.config.settingsLinkSelector));
+
+            if (placeholders.length === 0) {
+                if (document.querySelector(`.${this.config.showSettingsClass}`)) {
+                    return;
+                }
+
+                const floating = this.buildElement('div', 'cookie-consent-settings-link-floating');
+                floating.setAttribute('data-cookie-consent-settings-link', '');
+                document.body.appendChild(floating);
+                this.generated.push(floating);
+                placeholders = [floating];
+            }
+
+            const context = this.getTemplateContext();
+
+            placeholders.forEach(placeholder => {
+                placeholder.innerHTML = '';
+                placeholder.lang = this.getLanguage();
+                placeholder.dir = this.getDirection();
+                placeholder.appendChild(this.renderTemplate('settingsLink', context));
+
+                placeholder.querySelectorAll(`.${this.config.showSettingsClass}`).forEach(btn => {
+                    this.listen(btn, 'click', (e) => {
+                        e.preventDefault();
+                        this.showPreferences();
+                    });
+                });
+            });
+
+            this.settingsLinks = placeholders;
+        },
+
+        /**
+         * Show consent banner
+         */
+        show: function() {
+            const isModal = this.position === 'center';
+
+            // Time a new decision, unless the banner is being reopened before one was made
+            if (!this.shownAt || this.decidedAt) {
+                this.shownAt = Date.now();
+                this.decidedAt = null;
+            }
+
+            // A hide() still fading out would otherwise set display: none after the banner has reappeared
+            this.cancel(this.bannerTimer);
+            this.togglePrivacySignalNotice(this.signalNotice);
+            this.signalNotice = false;
+            this.syncCategoryCheckboxes();
+            this.showView('banner');
+            this.container.style.display = 'block';
+            this.applyDialogAttributes(this.container, isModal);
+
+            if (!this.bannerFocus) {
+                this.bannerFocus = this.trapFocus(this.container, {
+                    trap: isModal,
+                    onEscape: this.config.closeOnEscape ? () => this.hide() : null
+                });
+            }
+
+            if (isModal && !this.bannerInert) {
+                this.bannerInert = this.setBackgroundInert(this.container);
+            }
+
+            this.bannerTimer = this.later(() => {
+                this.container.classList.add('is-visible');
+            }, 10);
+
+            this.triggerEvent('banner-shown');
+        },
+
+        /**
+         * Show the banner with the preference centre open
+         * Banners without a preferences view are simply shown
+         */
+        showPreferences: function() {
+            this.show();
+            this.showView('preferences');
+        },
+
+        /**
+         * Switch between the banner's data-cookie-consent-view sections
+         */
+        showView: function(name) {
+            const views = Array.from(this.container.querySelectorAll('[data-cookie-consent-view]'));
+            const view = views.find(item => item.getAttribute('data-cookie-consent-view') === name);
+
+            if (!view || !view.hidden) {
+                return;
+            }
+
+            views.forEach(item => {
+                item.hidden = item !== view;
+            });
+
+            const heading = view.querySelector('h1, h2, h3, h4, h5, h6');
+
+            if (heading && heading.id) {
+                this.container.setAttribute('aria-labelledby', heading.id);
+            }
+
+            if (this.container.style.display === 'block') {
+                const focusable = this.getFocusableElements(view);
+
+                if (focusable.length > 0) {
+                    focusable[0].focus();
+                }
+            }
+        },
+
+        /**
+         * Hide consent banner
+         */
+        hide: function() {
+            this.cancel(this.bannerTimer);
+            this.container.classList.remove('is-visible');
+
+            if (this.bannerInert) {
+                this.bannerInert();
+                this.bannerInert = null;
+            }
+
+            if (this.bannerFocus) {
+                this.bannerFocus();
+                this.bannerFocus = null;
+            }
+
+            this.bannerTimer = this.later(() => {
+                this.container.style.display = 'none';
+            }, 300);
+
+            this.triggerEvent('banner-hidden');
+        },
+
+        /**
+         * Give an element dialog semantics, labelled by its first heading
+         */
+        applyDialogAttributes: function(element, isModal) {
+            if (!element.hasAttribute('role')) {
+                element.setAttribute('role', 'dialog');
+            }
+
+            if (isModal) {
+                element.setAttribute('aria-modal', 'true');
+            } else {
+                element.removeAttribute('aria-modal');
+            }
+
+            if (!element.hasAttribute('aria-label') && !element.hasAttribute('aria-labelledby')) {
+                const heading = element.querySelector('h1, h2, h3, h4, h5, h6');
+
+                if (heading) {
+                    heading.id = heading.id || 'cookie-consent-title-' + Math.random().toString(36).slice(2, 8);
+                    element.setAttribute('aria-labelledby', heading.id);
+                }
+            }
+        },
+
+        /**
+         * Get the elements inside a container that can receive keyboard focus
+         */
+        getFocusableElements: function(element) {
+            const selector = 'a[href], area[href], button, input, select, textarea, iframe, [tabindex], [contenteditable="true"]';
+
+            return Array.from(element.querySelectorAll(selector)).filter(el =>
+                !el.disabled &&
+                el.getAttribute('tabindex') !== '-1' &&
+                !el.hidden &&
+                !el.closest('[hidden], [inert]')
+            );
+        },
+
+        /**
+         * Move focus into an element, optionally keep Tab inside it and handle Escape
+         * Returns a function that removes the handlers and restores the previous focus
+         */
+        trapFocus: function(element, options) {
+            const previousFocus = document.activeElement;
+
+            const onKeydown = (e) => {
+                if (e.key === 'Escape' && options.onEscape) {
+                    e.preventDefault();
+                    options.onEscape();
+                    return;
+                }
+
+                if (e.key !== 'Tab' || !options.trap) {
+                    return;
+                }
+
+                const focusable = this.getFocusableElements(element);
+
+                if (focusable.length === 0) {
+                    e.preventDefault();
+                    return;
+                }
+
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+
+                if (e.shiftKey && (document.activeElement === first || !element.contains(document.activeElement))) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            };
+
+            element.addEventListener('keydown', onKeydown);
+
+            const focusable = this.getFocusableElements(element);
+            if (focusable.length > 0) {
+                focusable[0].focus();
+            } else {
+                element.setAttribute('tabindex', '-1');
+                element.focus();
+            }
+
+            return () => {
+                element.removeEventListener('keydown', onKeydown);
+
+                // Only hand focus back if it is still inside, the user may have moved on
+                if (element.contains(document.activeElement) && previousFocus && typeof previousFocus.focus === 'function') {
+                    previousFocus.focus();
+                }
+            };
+        },
+
+        /**
+         * Make everything outside an element inert and hidden from assistive technology
+         * Returns a function that undoes only the changes it made
+         */
+        setBackgroundInert: function(element) {
+            const changed = [];
+            let current = element;
+
+            while (current && current.parentElement && current !== document.body) {
+                Array.from(current.parentElement.children).forEach(sibling => {
+                    if (sibling === current || sibling === this.liveRegion || ['SCRIPT', 'STYLE'].includes(sibling.tagName) || sibling.hasAttribute('inert')) {
+                        return;
+                    }
+
+                    sibling.setAttribute('inert', '');
+                    sibling.setAttribute('aria-hidden', 'true');
+                    changed.push(sibling);
+                });
+
+                current = current.parentElement;
+            }
+
+            return () => {
+                changed.forEach(sibling => {
+                    sibling.removeAttribute('inert');
+                    sibling.removeAttribute('aria-hidden');
+                });
+            };
+        },
+
+        /**
+         * Announce a message to screen readers through a polite live region
+         */
+        announce: function(message) {
+            if (!this.liveRegion || !this.liveRegion.isConnected) {
+                this.liveRegion = document.createElement('div');
+                this.liveRegion.className = 'cookie-consent-live-region';
+                this.liveRegion.setAttribute('role', 'status');
+                this.liveRegion.setAttribute('aria-live', 'polite');
+                this.liveRegion.style.cssText = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;';
+                document.body.appendChild(this.liveRegion);
+                this.generated.push(this.liveRegion);
+            }
+
+            // Clear first so the same message is announced again
+            this.liveRegion.textContent = '';
+            this.later(() => {
+                this.liveRegion.textContent = message;
+            }, 100);
+        },
+
+        /**
+         * Set a cookie
+         */
+        setCookie: function(name, value, days) {
+            if (debugLogging && this.config.debug) {
+                this.log('setCookie', `${name} for ${days} days`, value);
+            }
+
+            document.cookie = this.serializeCookie(name, value, days);
+        },
+
+        /**
+         * Build a cookie string with the configured attributes
+         * Used for document.cookie and as a Set-Cookie header value
+         */
+        serializeCookie: function(name, value, days) {
+            const date = new Date();
+            date.setTime(date.getTime() + (days * 24 * 60 * 60 * 1000));
+            const expires = 'expires=' + date.toUTCString();
+            const sameSite = this.config.cookieSameSite;
+            let cookie = name + '=' + value + '; ' + expires + '; path=' + (this.config.cookiePath || '/');
+
+            if (this.config.cookieDomain) {
+                cookie += '; domain=' + this.config.cookieDomain;
+            }
+
+            if (sameSite) {
+                cookie += '; SameSite=' + sameSite;
+            }
+
+            // Browsers reject SameSite=None cookies that are not Secure
+            if (this.config.cookieSecure || String(sameSite).toLowerCase() === 'none') {
+                cookie += '; Secure';
+            }
+
+            return cookie;
+        },
+
+        /**
+         * Parse a cookie string such as document.cookie or a Cookie header into name/value pairs
+         * Values are split on the first '=' only, and the first cookie with a name wins
+         */
+        parseCookies: function(cookieString) {
+            const cookies = {};
+
+            this.parseCookieList(cookieString).forEach(cookie => {
+                if (!Object.prototype.hasOwnProperty.call(cookies, cookie.name)) {
+                    cookies[cookie.name] = cookie.value;
+                }
+            });
+
+            return cookies;
+        },
+
+        /**
+         * Parse a cookie string into { name, value } pairs in order, keeping cookies that share a name
+         * Values are split on the first '=' only, so values containing '=' stay whole
+         */
+        parseCookieList: function(cookieString) {
+            return String(cookieString || '').split(';').reduce((cookies, part) => {
+                const index = part.indexOf('=');
+                const name = (index === -1 ? part : part.slice(0, index)).trim();
+
+                if (name) {
+                    cookies.push({ name: name, value: index === -1 ? '' : part.slice(index + 1).trim() });
+                }
+
+                return cookies;
+            }, []);
+        },
+
+        /**
+         * Get a cookie value
+         */
+        getCookie: function(name) {
+            const cookie = this.getAllCookies().find(item => item.name === name);
+            return cookie ? cookie.value : null;
+        },
+
+        /**
+         * Get every cookie visible to the page as { name, value } pairs
+         */
+        getAllCookies: function() {
+            return this.parseCookieList(document.cookie);
+        },
+
+        /**
+         * Delete a cookie
+         */
+        deleteCookie: function(name, domain, path) {
+            if (domain === undefined) {
+                domain = this.config.cookieDomain;
+            }
+
+            if (debugLogging && this.config.debug) {
+                this.log('deleteCookie', name + (domain ? ' on ' + domain : ''));
+            }
+
+            document.cookie = name + '=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=' + (path || this.config.cookiePath || '/') + ';' +
+                (domain ? 'domain=' + domain + ';' : '');
+        },
+
+        /**
+         * Delete a cookie from the current host, its parent domains and the common paths
+         */
+        deleteCookieEverywhere: function(name) {
+            const paths = this.getCookiePaths();
+
+            this.getCookieDomains().forEach(domain => {
+                paths.forEach(path => this.deleteCookie(name, domain, path));
+            });
+        },
+
+        /**
+         * Get the domains a cookie for this page may have been set on
+         * e.g. shop.example.com gives '', shop.example.com, .shop.example.com, example.com and .example.com
+         */
+        getCookieDomains: function() {
+            const parts = window.location.hostname.split('.');
+            const domains = [''];
+
+            for (let i = 0; i < parts.length - 1; i++) {
+                const domain = parts.slice(i).join('.');
+                domains.push(domain, '.' + domain);
+            }
+
+            return domains;
+        },
+
+        /**
+         * Get the paths a cookie for this page may have been set on
+         * e.g. /blog/post/ gives /, /blog, /blog/, /blog/post and /blog/post/
+         */
+        getCookiePaths: function() {
+            const segments = window.location.pathname.split('/').filter(Boolean);
+            const paths = ['/'];
+            let path = '';
+
+            segments.forEach(segment => {
+                path += '/' + segment;
+                paths.push(path, path + '/');
+            });
+
+            return paths;
+        },
+
+        /**
+         * Remove the cookies and storage keys owned by categories without consent
+         * Cookies and storage belong to the whole page, so an instance scoped to part of it leaves them alone
+         */
+        clearRejectedCategories: function() {
+            if (!this.config.autoClearCookies || this.getRoot() !== document) {
+                return [];
+            }
+
+            const removed = [];
+
+            this.getCategories().forEach(category => {
+                if (!this.hasConsent(category.id)) {
+                    removed.push(...this.clearCategory(category.id));
+                    return;
+                }
+
+                category.vendors
+                    .filter(vendor => !this.hasConsent(category.id, vendor.id))
+                    .forEach(vendor => {
+                        removed.push(...this.clearDeclarations(vendor.cookies || [], category.id, vendor.id));
+                    });
+            });
+
+            if (removed.length > 0) {
+                this.triggerEvent('cookies-cleared', { removed: removed });
+            }
+
+            return removed;
+        },
+
+        /**
+         * Match a cookie or storage key against a declared name or pattern
+         */
+        matchesName: function(pattern, name) {
+            return typeof pattern === 'string' ? pattern === name : pattern.test(name);
+        },
+
+        /**
+         * Remove the cookies, localStorage and sessionStorage keys declared by a category and its vendors
+         */
+        clearCategory: function(id) {
+            const category = this.getCategory(id);
+
+            if (!category) {
+                return [];
+            }
+
+            const removed = this.clearDeclarations(category.cookies, id);
+
+            category.vendors.forEach(vendor => {
+                removed.push(...this.clearDeclarations(vendor.cookies || [], id, vendor.id));
+            });
+
+            return removed;
+        },
+
+        /**
+         * Remove whatever matches a list of cookie declarations
+         */
+        clearDeclarations: function(declarations, category, vendor) {
+            const removed = [];
+            const cookieNames = this.getCookieNames();
+
+            declarations.forEach(declaration => {
+                const type = declaration.type || 'cookie';
+                const entry = name => {
+                    const item = { name: name, type: type, category: category };
+                    if (vendor) {
+                        item.vendor = vendor;
+                    }
+                    return item;
+                };
+
+                if (type === 'cookie') {
+                    cookieNames.filter(name => name !== this.config.cookieName && this.matchesName(declaration.name, name)).forEach(name => {
+                        this.deleteCookieEverywhere(name);
+                        removed.push(entry(name));
+                    });
+                    return;
+                }
+
+                this.getStorageKeys(type).filter(key => this.matchesName(declaration.name, key)).forEach(key => {
+                    window[type].removeItem(key);
+                    removed.push(entry(key));
+                });
+            });
+
+            return removed;
+        },
+
+        /**
+         * Get the names of the cookies visible to the page
+         */
+        getCookieNames: function() {
+            return this.getAllCookies().map(cookie => cookie.name);
+        },
+
+        /**
+         * Get the keys held in localStorage or sessionStorage
+         */
+        getStorageKeys: function(type) {
+            const keys = [];
+
+            try {
+                const storage = window[type];
+
+                for (let i = 0; i < storage.length; i++) {
+                    keys.push(storage.key(i));
+                }
+            } catch (e) {
+                // Storage can be unavailable, e.g. when blocked by browser settings
+            }
+
+            return keys;
+        },
+
+        /**
+         * Work out what a cookie or storage key is, from the declarations or the known tracker patterns
+         */
+        classifyCookie: function(name, type) {
+            type = type || 'cookie';
+
+            const item = {
+                name: name,
+                type: type,
+                category: null,
+                vendor: null,
+                provider: null,
+                purpose: null,
+                duration: null,
+                declared: false,
+                known: false
+            };
+            const ownKeys = {
+                cookie: [this.config.cookieName],
+                localStorage: [this.config.cookieName, this.config.cookieName + '_log_queue'],
+                sessionStorage: [this.config.cookieName + '_variant']
+            }[type] || [];
+
+            // The library's own records belong with the required categories
+            if (ownKeys.includes(name)) {
+                return {
+                    ...item,
+                    category: this.getRequiredCategories()[0] || null,
+                    provider: 'Cookie consent',
+                    purpose: type === 'sessionStorage' ? 'Keeps the same cookie banner between pages' : 'Stores your cookie choices',
+                    declared: true,
+                    known: true
+                };
+            }
+
+            const match = this.findDeclaration(name, type);
+
+            if (match) {
+                return {
+                    ...item,
+                    category: match.category.id,
+                    vendor: match.vendor ? match.vendor.id : null,
+                    provider: match.declaration.provider || (match.vendor ? match.vendor.name || match.vendor.id : null),
+                    purpose: match.declaration.purpose || null,
+                    duration: match.declaration.duration || null,
+                    declared: true,
+                    known: true
+                };
+            }
+
+            const pattern = this.config.trackerPatterns.concat(trackerPatterns).find(entry =>
+                (entry.type || 'cookie') === type && this.matchesName(entry.name, name)
+            );
+
+            if (pattern) {
+                return {
+                    ...item,
+                    category: pattern.category,
+                    provider: pattern.provider || null,
+                    purpose: pattern.purpose || null,
+                    known: true
+                };
+            }
+
+            return item;
+        },
+
+        /**
+         * Classify every cookie and storage key on the page
+         * Reports anything undeclared, or set for a category without consent
+         */
+        scan: function() {
+            const items = this.getCookieNames().map(name => this.classifyCookie(name, 'cookie'));
+
+            ['localStorage', 'sessionStorage'].forEach(type => {
+                this.getStorageKeys(type).forEach(key => items.push(this.classifyCookie(key, type)));
+            });
+
+            items.forEach(item => {
+                item.allowed = item.category ? this.hasConsent(item.category, item.vendor || undefined) : null;
+            });
+
+            const result = {
+                items: items,
+                undeclared: items.filter(item => !item.declared),
+                withoutConsent: items.filter(item => item.allowed === false)
+            };
+
+            if (debugLogging && this.config.debug) {
+                result.undeclared.forEach(item => {
+                    console.warn(`Cookie consent: ${item.type} "${item.name}" is not declared` +
+                        (item.known ? ` (looks like ${item.provider}, ${item.category})` : ''));
+                });
+
+                result.withoutConsent.forEach(item => {
+                    console.warn(`Cookie consent: ${item.type} "${item.name}" is set without consent for ${item.category}`);
+                });
+            }
+
+            this.triggerEvent('cookies-scanned', result);
+
+            return result;
+        },
+
+        /**
+         * Find the category, vendor and declaration a cookie or storage key belongs to
+         */
+        findDeclaration: function(name, type) {
+            const categories = this.getCategories();
+            const matches = declaration => (declaration.type || 'cookie') === (type || 'cookie') &&
+                this.matchesName(declaration.name, name);
+
+            for (let i = 0; i < categories.length; i++) {
+                const category = categories[i];
+
+                for (let j = 0; j < category.vendors.length; j++) {
+                    const vendor = category.vendors[j];
+                    const declaration = (vendor.cookies || []).find(matches);
+
+                    if (declaration) {
+                        return { category: category, vendor: vendor, declaration: declaration };
+                    }
+                }
+
+                const declaration = category.cookies.find(matches);
+
+                if (declaration) {
+                    return { category: category, vendor: null, declaration: declaration };
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Get current consent status
+         */
+        getConsent: function() {
+            const consent = this.readConsent();
+            return consent && !this.isConsentExpired(consent) ? consent : null;
+        },
+
+        /**
+         * Check if a specific category is accepted
+         */
+        hasConsent: function(category, vendor) {
+            if (this.isRequired(category)) {
+                return true;
+            }
+
+            const consent = this.getConsent();
+            const reprompt = consent ? this.getRepromptReason(consent) : null;
+
+            // A newer policy revision needs a fresh decision, so the earlier grants wait for it
+            if (reprompt && reprompt.reason === 'revision') {
+                return false;
+            }
+
+            return this.hasStoredConsent(category, vendor);
+        },
+
+        /**
+         * Check what the stored decision says about a category, even while it is waiting to be asked again
+         * The banner uses this to pre-fill the earlier choices
+         */
+        hasStoredConsent: function(category, vendor) {
+            if (this.isRequired(category)) {
+                return true;
+            }
+
+            const consent = this.getConsent();
+            let granted;
+
+            if (!consent) {
+                granted = this.getDefaultCategories().includes(category);
+            } else {
+                granted = consent.accepted && consent.categories.includes(category);
+            }
+
+            if (!granted || vendor === undefined) {
+                return granted;
+            }
+
+            // Vendors without a recorded choice follow their category
+            const choices = consent && consent.vendors ? consent.vendors[category] : undefined;
+            const choice = choices ? choices[vendor] : undefined;
+            return typeof choice === 'boolean' ? choice : granted;
+        },
+
+        /**
+         * Revoke consent and show banner again
+         */
+        revoke: function() {
+            if (debugLogging && this.config.debug) {
+                this.log('revoke', 'withdrawing consent');
+            }
+
+            this.clearConsent();
+            this.logConsent(this.createConsentRecord(false, this.getRequiredCategories()), 'revoke');
+            this.clearRejectedCategories();
+            this.show();
+            this.announce(this.t('announceRevoke'));
+            this.triggerEvent('consent-revoked');
+            this.updateConsentMode('revoke');
+            this.notifySubscribers();
+            this.broadcastChange();
+        },
+
+        /**
+         * Call back with a category's current state now and again whenever it changes
+         * Returns a function that removes the subscription
+         */
+        onChange: function(category, callback) {
+            const subscription = { category: category, callback: callback, granted: this.hasConsent(category) };
+
+            this.subscribers.push(subscription);
+            callback(subscription.granted, this.getConsent());
+
+            return () => {
+                this.subscribers = this.subscribers.filter(item => item !== subscription);
+            };
+        },
+
+        /**
+         * Resolve once a category is allowed
+         * The promise has an unsubscribe() method to stop waiting
+         */
+        whenGranted: function(category) {
+            let unsubscribe = null;
+            let granted = false;
+
+            const promise = new Promise(resolve => {
+                unsubscribe = this.onChange(category, (isGranted, consent) => {
+                    if (isGranted && !granted) {
+                        granted = true;
+                        resolve(consent);
+
+                        if (unsubscribe) {
+                            unsubscribe();
+                        }
+                    }
+                });
+            });
+
+            // onChange calls back straight away, before the handle has been returned
+            if (granted) {
+                unsubscribe();
+            }
+
+            promise.unsubscribe = unsubscribe;
+
+            return promise;
         },
 
         /**
-         * Bind event listeners to buttons
+         * Call back subscribers whose category has changed state
          */
-        bindEvents: function() {
-            const acceptBtns = this.container.querySelectorAll(`.${this.config.acceptClass}`);
-            const rejectBtns = this.container.querySelectorAll(`.${this.config.rejectClass}`);
-            const closeBtns = this.container.querySelectorAll(`.${this.config.closeClass}`);
-            const showSettingsBtns = document.querySelectorAll(`.${this.config.showSettingsClass}`);
-            const viewCookiesBtns = document.querySelectorAll(`.${this.config.viewCookiesClass}`);
+        notifySubscribers: function() {
+            const consent = this.getConsent();
 
-            acceptBtns.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.accept();
-                });
-            });
+            this.subscribers.forEach(subscription => {
+                const granted = this.hasConsent(subscription.category);
 
-            rejectBtns.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.reject();
-                });
+                if (granted !== subscription.granted) {
+                    subscription.granted = granted;
+                    subscription.callback(granted, consent);
+                }
             });
+        },
 
-            closeBtns.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.hide();
-                });
-            });
+        /**
+         * Get the id of the current consent decision
+         */
+        getConsentId: function() {
+            const consent = this.getConsent();
+            return consent ? consent.id || null : null;
+        },
 
-            showSettingsBtns.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.show();
-                });
-            });
+        /**
+         * Flush queued consent receipts now and whenever the browser comes back online
+         */
+        initConsentLog: function() {
+            if (!this.config.consentLogEndpoint || this.consentLogBound) {
+                return;
+            }
 
-            viewCookiesBtns.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.viewCookies();
-                });
+            this.listen(window, 'online', () => this.flushConsentLog());
+            // Last chance to deliver anything still queued when the page goes away
+            this.listen(window, 'pagehide', () => this.flushConsentLog(true));
+            this.consentLogBound = true;
+            this.flushConsentLog();
+        },
+
+        /**
+         * Queue a proof-of-consent receipt for the server-side log and try to send it
+         */
+        logConsent: function(consentData, action) {
+            if (!this.config.consentLogEndpoint) {
+                return;
+            }
+
+            const queue = this.getConsentLogQueue();
+
+            queue.push({
+                consentId: consentData.id,
+                action: action,
+                accepted: consentData.accepted,
+                categories: consentData.categories,
+                revision: consentData.revision,
+                timestamp: consentData.timestamp,
+                source: consentData.source,
+                userAgent: window.navigator.userAgent,
+                variant: this.variant || null,
+                timeToDecision: this.getTimeToDecision(),
+                url: window.location.href
             });
+
+            this.setConsentLogQueue(queue.slice(-this.config.consentLogQueueLimit));
+            this.flushConsentLog();
         },
 
         /**
-         * Check if consent has been given
+         * Send queued receipts in order, stopping at the first network or server error so it is retried later
+         * A receipt the endpoint refuses with a 4xx is dropped, as sending it again would fail the same way
+         * With useBeacon the whole queue is handed to sendBeacon, for use while the page unloads
          */
-        checkConsent: function() {
-            const consent = this.getCookie(this.config.cookieName);
+        flushConsentLog: function(useBeacon) {
+            const queue = this.getConsentLogQueue();
 
-            if (!consent) {
-                this.show();
-            } else {
-                this.hide();
+            if (queue.length === 0) {
+                return Promise.resolve(true);
             }
 
-            return consent;
+            if (useBeacon) {
+                this.setConsentLogQueue(queue.filter(receipt => !this.sendReceiptBeacon(receipt)));
+                return Promise.resolve(this.getConsentLogQueue().length === 0);
+            }
+
+            if (this.consentLogFlushing || window.navigator.onLine === false) {
+                return Promise.resolve(false);
+            }
+
+            this.consentLogFlushing = true;
+
+            const receipt = queue[0];
+
+            return this.sendReceipt(receipt).then(result => {
+                this.consentLogFlushing = false;
+
+                // 408 and 429 ask the client to try again later, like a server error
+                const refused = !result.sent && result.status >= 400 && result.status < 500 && ![408, 429].includes(result.status);
+
+                if (!result.sent && !refused) {
+                    return false;
+                }
+
+                this.setConsentLogQueue(this.getConsentLogQueue().filter(queued =>
+                    queued.consentId !== receipt.consentId || queued.action !== receipt.action
+                ));
+
+                if (refused) {
+                    if (debugLogging && this.config.debug) {
+                        this.log('flushConsentLog', `receipt refused with status ${result.status}, dropping it`, receipt);
+                    }
+
+                    this.triggerEvent('consent-log-refused', { receipt: receipt, status: result.status });
+                } else {
+                    this.triggerEvent('consent-logged', { receipt: receipt });
+                }
+
+                return this.flushConsentLog();
+            });
         },
 
         /**
-         * Accept cookies
+         * Send one receipt with fetch, falling back to sendBeacon
+         * Resolves to whether it was accepted and the response status, null when there was no response
          */
-        accept: function() {
-            const categories = this.getSelectedCategories();
-            const consentData = {
-                accepted: true,
-                categories: categories.length > 0 ? categories : ['necessary', 'analytics', 'marketing'],
-                timestamp: new Date().toISOString()
-            };
+        sendReceipt: function(receipt) {
+            if (typeof window.fetch !== 'function') {
+                return Promise.resolve({ sent: this.sendReceiptBeacon(receipt), status: null });
+            }
 
-            this.setCookie(this.config.cookieName, JSON.stringify(consentData), this.config.cookieExpiry);
-            this.hide();
-            this.triggerEvent('consent-given', consentData);
+            return window.fetch(this.config.consentLogEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.config.consentLogHeaders },
+                body: JSON.stringify(receipt),
+                credentials: 'same-origin',
+                keepalive: true
+            })
+                .then(response => ({ sent: response.ok, status: response.status }))
+                // A request cut off by the page unloading can still be handed to the browser
+                .catch(() => ({ sent: document.visibilityState === 'hidden' && this.sendReceiptBeacon(receipt), status: null }));
         },
 
         /**
-         * Reject cookies
+         * Hand a receipt to sendBeacon, returns true if the browser queued it
          */
-        reject: function() {
-            const consentData = {
-                accepted: false,
-                categories: ['necessary'],
-                timestamp: new Date().toISOString()
-            };
+        sendReceiptBeacon: function(receipt) {
+            if (!window.navigator.sendBeacon) {
+                return false;
+            }
 
-            this.setCookie(this.config.cookieName, JSON.stringify(consentData), this.config.cookieExpiry);
-            this.hide();
-            this.triggerEvent('consent-rejected', consentData);
+            const blob = new Blob([JSON.stringify(receipt)], { type: 'application/json' });
+            return window.navigator.sendBeacon(this.config.consentLogEndpoint, blob);
         },
 
         /**
-         * Get selected cookie categories from checkboxes
+         * Read the queue of receipts waiting to be sent
          */
-        getSelectedCategories: function() {
-            const checkboxes = this.container.querySelectorAll(`.${this.config.categoryCheckboxClass}`);
-            const categories = [];
+        getConsentLogQueue: function() {
+            try {
+                const queue = JSON.parse(window.localStorage.getItem(this.config.cookieName + '_log_queue'));
+                return Array.isArray(queue) ? queue : [];
+            } catch (e) {
+                return this.consentLogQueue || [];
+            }
+        },
 
-            checkboxes.forEach(checkbox => {
-                if (checkbox.checked) {
-                    categories.push(checkbox.value);
-                }
-            });
+        /**
+         * Persist the queue so receipts survive reloads while offline
+         */
+        setConsentLogQueue: function(queue) {
+            this.consentLogQueue = queue;
 
-            return categories;
+            try {
+                if (queue.length > 0) {
+                    window.localStorage.setItem(this.config.cookieName + '_log_queue', JSON.stringify(queue));
+                } else {
+                    window.localStorage.removeItem(this.config.cookieName + '_log_queue');
+                }
+            } catch (e) {
+                // Storage can be unavailable, keep the queue in memory instead
+            }
         },
 
         /**
-         * Show consent banner
+         * Send the Google Consent Mode default state
+         * Call this in the <head> before any tags load if init() runs later
          */
-        show: function() {
-            this.container.style.display = 'block';
+        initConsentMode: function(options) {
+            if (options) {
+                this.config = { ...this.config, ...options, consentMode: true };
+            }
 
-            setTimeout(() => {
-                this.container.classList.add('is-visible');
-            }, 10);
+            if (!this.config.consentMode || this.consentModeDefaultSent) {
+                return;
+            }
 
-            this.triggerEvent('banner-shown');
+            const defaults = this.getConsentModeState(category => this.getDefaultCategories().includes(category));
+
+            if (this.config.consentModeWaitForUpdate) {
+                defaults.wait_for_update = this.config.consentModeWaitForUpdate;
+            }
+
+            this.gtag('consent', 'default', defaults);
+            this.consentModeDefaultSent = true;
         },
 
         /**
-         * Hide consent banner
+         * Send a Google Consent Mode update and push a matching dataLayer event
          */
-        hide: function() {
-            this.container.classList.remove('is-visible');
+        updateConsentMode: function(action) {
+            if (!this.config.consentMode) {
+                return;
+            }
 
-            setTimeout(() => {
-                this.container.style.display = 'none';
-            }, 300);
+            const isGranted = category => this.hasConsent(category);
+            const consent = this.getConsent();
+            const categories = this.getCategories().map(category => category.id);
+
+            Object.keys(this.config.consentModeMapping)
+                .concat(consent ? consent.categories : [])
+                .forEach(category => {
+                    if (!categories.includes(category)) {
+                        categories.push(category);
+                    }
+                });
 
-            this.triggerEvent('banner-hidden');
+            const status = {};
+            categories.forEach(category => {
+                status[category] = isGranted(category) ? 'granted' : 'denied';
+            });
+
+            this.gtag('consent', 'update', this.getConsentModeState(isGranted));
+            this.getDataLayer().push({
+                event: this.config.dataLayerEvent,
+                cookieConsent: {
+                    action: action,
+                    categories: categories.filter(isGranted),
+                    status: status
+                }
+            });
         },
 
         /**
-         * Set a cookie
+         * Map categories to Consent Mode signals
+         * A signal is granted if any category mapped to it is granted
          */
-        setCookie: function(name, value, days) {
-            const date = new Date();
-            date.setTime(date.getTime() + (days * 24 * 60 * 60 * 1000));
-            const expires = 'expires=' + date.toUTCString();
-            document.cookie = name + '=' + value + ';' + expires + ';path=/;SameSite=Strict';
+        getConsentModeState: function(isGranted) {
+            const mapping = this.config.consentModeMapping;
+            const state = {};
+
+            Object.keys(mapping).forEach(category => {
+                const granted = isGranted(category);
+                [].concat(mapping[category]).forEach(signal => {
+                    state[signal] = state[signal] === 'granted' || granted ? 'granted' : 'denied';
+                });
+            });
+
+            return state;
         },
 
         /**
-         * Get a cookie value
+         * Get the tag manager dataLayer, creating it if needed
          */
-        getCookie: function(name) {
-            const nameEQ = name + '=';
-            const cookies = document.cookie.split(';');
+        getDataLayer: function() {
+            const name = this.config.dataLayerName;
+            window[name] = window[name] || [];
+            return window[name];
+        },
 
-            for (let i = 0; i < cookies.length; i++) {
-                let cookie = cookies[i];
-                while (cookie.charAt(0) === ' ') {
-                    cookie = cookie.substring(1, cookie.length);
-                }
-                if (cookie.indexOf(nameEQ) === 0) {
-                    return cookie.substring(nameEQ.length, cookie.length);
+        /**
+         * Push a gtag() command to the dataLayer
+         */
+        gtag: function() {
+            this.getDataLayer().push(arguments);
+        },
+
+        /**
+         * Pick the best available language from <html lang> and the browser's languages
+         */
+        detectLanguage: function() {
+            const candidates = [document.documentElement.lang]
+                .concat(window.navigator.languages || [window.navigator.language])
+                .filter(Boolean);
+
+            for (let i = 0; i < candidates.length; i++) {
+                const language = this.matchLanguage(candidates[i]);
+                if (language) {
+                    return language;
                 }
             }
-            return null;
+
+            return 'en';
         },
 
         /**
-         * Delete a cookie
+         * Find the dictionary for a language tag, falling back from 'pt-BR' to 'pt'
          */
-        deleteCookie: function(name) {
-            document.cookie = name + '=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;';
+        matchLanguage: function(tag) {
+            const dictionaries = { ...defaultTranslations, ...this.config.translations };
+            const languages = Object.keys(dictionaries);
+            const lower = String(tag).toLowerCase();
+            const base = lower.split('-')[0];
+
+            return languages.find(language => language.toLowerCase() === lower) ||
+                languages.find(language => language.toLowerCase() === base) ||
+                null;
         },
 
         /**
-         * Get current consent status
+         * Get the active language
          */
-        getConsent: function() {
-            const consent = this.getCookie(this.config.cookieName);
-            return consent ? JSON.parse(consent) : null;
+        getLanguage: function() {
+            return this.language || this.config.language || 'en';
         },
 
         /**
-         * Check if a specific category is accepted
+         * Get the text direction for the active language
+         * A dictionary can set dir itself, otherwise it follows the language
          */
-        hasConsent: function(category) {
-            const consent = this.getConsent();
+        getDirection: function() {
+            const language = this.getLanguage();
+            const dictionary = this.config.translations[language] || {};
 
-            if (!consent || !consent.accepted) {
-                return false;
+            if (dictionary.dir) {
+                return dictionary.dir;
             }
 
-            return consent.categories.includes(category);
+            return rtlLanguages.includes(language.toLowerCase().split('-')[0]) ? 'rtl' : 'ltr';
         },
 
         /**
-         * Revoke consent and show banner again
+         * Translate a string key into the active language
+         * Falls back to the base language, then to English
          */
-        revoke: function() {
-            this.deleteCookie(this.config.cookieName);
-            this.show();
-            this.triggerEvent('consent-revoked');
+        t: function(key) {
+            const language = this.getLanguage();
+            const base = language.split('-')[0];
+            const copy = (this.getVariant() || {}).translations || {};
+            const sources = [
+                copy[language],
+                copy[base],
+                this.config.translations[language],
+                this.config.translations[base],
+                defaultTranslations[language],
+                defaultTranslations[base],
+                copy.en,
+                this.config.translations.en,
+                defaultTranslations.en
+            ];
+
+            for (let i = 0; i < sources.length; i++) {
+                if (sources[i] && sources[i][key] !== undefined) {
+                    return sources[i][key];
+                }
+            }
+
+            return key;
+        },
+
+        /**
+         * Switch language and re-render any open library views
+         */
+        setLanguage: function(language) {
+            this.language = this.matchLanguage(language) || language;
+
+            if (this.config.render && this.container) {
+                this.render();
+                this.renderVendorLists();
+                this.bindContainerEvents();
+                this.syncCategoryCheckboxes();
+                this.renderSettingsLinks();
+            }
+
+            this.renderInlineCookies();
+
+            if (document.getElementById(`${this.uid}-display`) && this.viewedCookies) {
+                this.showDefaultCookieDisplay(this.viewedCookies);
+            }
+
+            this.triggerEvent('language-changed', { language: this.language, dir: this.getDirection() });
         },
 
         /**
          * View all cookies currently set
          */
         viewCookies: function() {
-            const allCookies = document.cookie.split(';').reduce((acc, cookie) => {
-                const [name, value] = cookie.trim().split('=');
-                if (name) {
-                    acc.push({ name, value: value || '' });
-                }
-                return acc;
-            }, []);
+            const allCookies = this.getAllCookies();
 
             // Show default display
             this.showDefaultCookieDisplay(allCookies);
+            this.viewedCookies = allCookies;
 
             // Still fire event for custom handlers
             this.triggerEvent('cookies-viewed', { cookies: allCookies });
@@ -326,18 +3362,23 @@
          */
         showDefaultCookieDisplay: function(cookies) {
             // Remove existing display if present
-            const existingDisplay = document.getElementById('cookie-consent-display');
+            const existingDisplay = document.getElementById(`${this.uid}-display`);
             if (existingDisplay) {
                 existingDisplay.remove();
             }
 
             // Create overlay
             const overlay = document.createElement('div');
-            overlay.id = 'cookie-consent-display';
+            overlay.id = `${this.uid}-display`;
+            overlay.lang = this.getLanguage();
+            overlay.dir = this.getDirection();
             overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 10000; display: flex; align-items: center; justify-content: center; padding: 1rem;';
 
             // Create modal
             const modal = document.createElement('div');
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-modal', 'true');
+            modal.setAttribute('aria-labelledby', `${this.uid}-display-title`);
             modal.style.cssText = 'background: #ffffff; border-radius: 0.5rem; padding: 2rem; max-width: 600px; width: 100%; max-height: 80vh; overflow-y: auto; box-shadow: 0 10px 40px rgba(0,0,0,0.3);';
 
             // Header
@@ -345,13 +3386,16 @@
             header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; border-bottom: 2px solid #e5e7eb; padding-bottom: 1rem;';
 
             const title = document.createElement('h3');
-            title.textContent = 'Cookies on this site';
+            title.id = `${this.uid}-display-title`;
+            title.textContent = this.t('viewCookiesTitle');
             title.style.cssText = 'margin: 0; font-size: 1.25rem; color: #111827;';
 
             const closeBtn = document.createElement('button');
+            closeBtn.type = 'button';
             closeBtn.textContent = '×';
+            closeBtn.setAttribute('aria-label', this.t('closeDialog'));
             closeBtn.style.cssText = 'background: none; border: none; font-size: 2rem; cursor: pointer; color: #6b7280; line-height: 1; padding: 0; width: 2rem; height: 2rem;';
-            closeBtn.onclick = function() { overlay.remove(); };
+            closeBtn.onclick = () => this.closeCookieDisplay();
 
             header.appendChild(title);
             header.appendChild(closeBtn);
@@ -361,7 +3405,7 @@
 
             if (cookies.length === 0) {
                 const emptyMsg = document.createElement('p');
-                emptyMsg.textContent = 'No cookies found';
+                emptyMsg.textContent = this.t('noCookies');
                 emptyMsg.style.cssText = 'color: #6b7280; text-align: center; padding: 2rem;';
                 list.appendChild(emptyMsg);
             } else {
@@ -385,12 +3429,13 @@
 
             // Close button at bottom
             const footer = document.createElement('div');
-            footer.style.cssText = 'margin-top: 1.5rem; text-align: right;';
+            footer.style.cssText = 'margin-top: 1.5rem; text-align: end;';
 
             const closeButton = document.createElement('button');
-            closeButton.textContent = 'Close';
+            closeButton.type = 'button';
+            closeButton.textContent = this.t('close');
             closeButton.style.cssText = 'background: #3b82f6; color: #ffffff; border: none; padding: 0.75rem 1.5rem; border-radius: 0.375rem; cursor: pointer; font-size: 0.875rem; font-weight: 500;';
-            closeButton.onclick = function() { overlay.remove(); };
+            closeButton.onclick = () => this.closeCookieDisplay();
 
             footer.appendChild(closeButton);
 
@@ -401,33 +3446,63 @@
             overlay.appendChild(modal);
 
             // Close on overlay click
-            overlay.onclick = function(e) {
+            overlay.onclick = (e) => {
                 if (e.target === overlay) {
-                    overlay.remove();
+                    this.closeCookieDisplay();
                 }
             };
 
             // Add to page
             document.body.appendChild(overlay);
+
+            // Re-rendering an open display keeps the original focus and inert state to restore
+            if (this.displayFocus) {
+                this.displayFocus.release();
+            }
+
+            const restoreInert = this.displayFocus ? this.displayFocus.restoreInert : this.setBackgroundInert(overlay);
+            const returnFocus = this.displayFocus ? this.displayFocus.returnFocus : document.activeElement;
+
+            this.displayFocus = {
+                release: this.trapFocus(modal, { trap: true, onEscape: () => this.closeCookieDisplay() }),
+                restoreInert: restoreInert,
+                returnFocus: returnFocus
+            };
+        },
+
+        /**
+         * Close the default cookie display and return focus to where it was
+         */
+        closeCookieDisplay: function() {
+            const overlay = document.getElementById(`${this.uid}-display`);
+
+            if (overlay) {
+                overlay.remove();
+            }
+
+            if (this.displayFocus) {
+                this.displayFocus.release();
+                this.displayFocus.restoreInert();
+
+                if (this.displayFocus.returnFocus && this.displayFocus.returnFocus.isConnected) {
+                    this.displayFocus.returnFocus.focus();
+                }
+
+                this.displayFocus = null;
+            }
         },
 
         /**
          * Render cookies inline in elements with js-cookies-inline class
          */
         renderInlineCookies: function() {
-            const inlineContainers = document.querySelectorAll(`.${this.config.inlineCookiesClass}`);
+            const inlineContainers = this.queryRoot(`.${this.config.inlineCookiesClass}`);
 
             if (inlineContainers.length === 0) {
                 return;
             }
 
-            const allCookies = document.cookie.split(';').reduce((acc, cookie) => {
-                const [name, value] = cookie.trim().split('=');
-                if (name) {
-                    acc.push({ name, value: value || '' });
-                }
-                return acc;
-            }, []);
+            const allCookies = this.getAllCookies();
 
             inlineContainers.forEach((container) => {
                 // Clear existing content
@@ -438,10 +3513,13 @@
                     container.classList.add('cookie-consent-inline');
                 }
 
+                container.lang = this.getLanguage();
+                container.dir = this.getDirection();
+
                 if (allCookies.length === 0) {
                     const emptyMessage = document.createElement('p');
                     emptyMessage.className = 'cookie-consent-inline-empty';
-                    emptyMessage.textContent = 'No cookies found';
+                    emptyMessage.textContent = this.t('noCookies');
                     container.appendChild(emptyMessage);
                 } else {
                     const table = document.createElement('table');
@@ -451,105 +3529,213 @@
                     const headerRow = document.createElement('tr');
 
                     const nameHeader = document.createElement('th');
-                    nameHeader.textContent = 'Cookie name';
+                    nameHeader.textContent = this.t('cookieName');
 
                     const valueHeader = document.createElement('th');
-                    valueHeader.textContent = 'Value';
+                    valueHeader.textContent = this.t('cookieValue');
 
                     headerRow.appendChild(nameHeader);
                     headerRow.appendChild(valueHeader);
                     thead.appendChild(headerRow);
                     table.appendChild(thead);
 
-                    const tbody = document.createElement('tbody');
+                    this.groupCookiesByVendor(allCookies).forEach((group) => {
+                        const tbody = document.createElement('tbody');
+
+                        if (group.name !== null) {
+                            const groupRow = document.createElement('tr');
+                            groupRow.className = 'cookie-consent-inline-group';
+
+                            const groupHeader = document.createElement('th');
+                            groupHeader.colSpan = 2;
+                            groupHeader.scope = 'colgroup';
+                            groupHeader.textContent = group.name;
 
-                    allCookies.forEach((cookie) => {
-                        const row = document.createElement('tr');
+                            groupRow.appendChild(groupHeader);
+                            tbody.appendChild(groupRow);
+                        }
 
-                        const nameCell = document.createElement('td');
-                        nameCell.className = 'cookie-consent-inline-name';
-                        nameCell.textContent = cookie.name;
+                        group.cookies.forEach((cookie) => {
+                            const row = document.createElement('tr');
+
+                            const nameCell = document.createElement('td');
+                            nameCell.className = 'cookie-consent-inline-name';
+                            nameCell.textContent = cookie.name;
+
+                            const valueCell = document.createElement('td');
+                            valueCell.className = 'cookie-consent-inline-value';
+
+                            // Try to parse JSON, or the encoded consent record, and format it nicely
+                            try {
+                                const parsed = cookie.name === this.config.cookieName
+                                    ? this.parseConsent(cookie.value) || JSON.parse(decodeURIComponent(cookie.value))
+                                    : JSON.parse(decodeURIComponent(cookie.value));
+
+                                if (typeof parsed === 'object' && parsed !== null) {
+                                    const list = document.createElement('ul');
+                                    list.className = 'cookie-consent-value-list';
+
+                                    Object.entries(parsed).forEach(([key, value]) => {
+                                        const item = document.createElement('li');
+                                        const keySpan = document.createElement('span');
+                                        keySpan.className = 'cookie-consent-value-key';
+                                        keySpan.textContent = key + ': ';
+
+                                        const valueSpan = document.createElement('span');
+                                        valueSpan.className = 'cookie-consent-value-text';
+
+                                        if (Array.isArray(value)) {
+                                            valueSpan.textContent = value.join(', ');
+                                        } else if (typeof value === 'object' && value !== null) {
+                                            valueSpan.textContent = JSON.stringify(value);
+                                        } else {
+                                            valueSpan.textContent = String(value);
+                                        }
+
+                                        item.appendChild(keySpan);
+                                        item.appendChild(valueSpan);
+                                        list.appendChild(item);
+                                    });
+
+                                    valueCell.appendChild(list);
+                                } else {
+                                    valueCell.textContent = cookie.value;
+                                }
+                            } catch (e) {
+                                // Not JSON, just display the raw value
+                                valueCell.textContent = cookie.value;
+                            }
 
-                        const valueCell = document.createElement('td');
-                        valueCell.className = 'cookie-consent-inline-value';
+                            row.appendChild(nameCell);
+                            row.appendChild(valueCell);
+                            tbody.appendChild(row);
+                        });
 
-                        // Try to parse JSON and format it nicely
-                        try {
-                            const parsed = JSON.parse(decodeURIComponent(cookie.value));
+                        table.appendChild(tbody);
+                    });
 
-                            if (typeof parsed === 'object' && parsed !== null) {
-                                const list = document.createElement('ul');
-                                list.className = 'cookie-consent-value-list';
+                    container.appendChild(table);
+                }
+            });
+        },
 
-                                Object.entries(parsed).forEach(([key, value]) => {
-                                    const item = document.createElement('li');
-                                    const keySpan = document.createElement('span');
-                                    keySpan.className = 'cookie-consent-value-key';
-                                    keySpan.textContent = key + ': ';
+        /**
+         * Group cookies by the vendor (or provider) that declares them
+         * Returns a single unnamed group when no category declares vendors
+         */
+        groupCookiesByVendor: function(cookies) {
+            const hasVendors = this.getCategories().some(category => category.vendors.length > 0);
 
-                                    const valueSpan = document.createElement('span');
-                                    valueSpan.className = 'cookie-consent-value-text';
+            if (!hasVendors) {
+                return [{ name: null, cookies: cookies }];
+            }
 
-                                    if (Array.isArray(value)) {
-                                        valueSpan.textContent = value.join(', ');
-                                    } else if (typeof value === 'object' && value !== null) {
-                                        valueSpan.textContent = JSON.stringify(value);
-                                    } else {
-                                        valueSpan.textContent = String(value);
-                                    }
+            const groups = [];
+            const other = { name: this.t('otherCookies'), cookies: [] };
 
-                                    item.appendChild(keySpan);
-                                    item.appendChild(valueSpan);
-                                    list.appendChild(item);
-                                });
+            cookies.forEach(cookie => {
+                const match = this.findDeclaration(cookie.name);
+                const name = match && ((match.vendor && (match.vendor.name || match.vendor.id)) || match.declaration.provider);
 
-                                valueCell.appendChild(list);
-                            } else {
-                                valueCell.textContent = cookie.value;
-                            }
-                        } catch (e) {
-                            // Not JSON, just display the raw value
-                            valueCell.textContent = cookie.value;
-                        }
+                if (!name) {
+                    other.cookies.push(cookie);
+                    return;
+                }
 
-                        row.appendChild(nameCell);
-                        row.appendChild(valueCell);
-                        tbody.appendChild(row);
-                    });
+                let group = groups.find(item => item.name === name);
 
-                    table.appendChild(tbody);
-                    container.appendChild(table);
+                if (!group) {
+                    group = { name: name, cookies: [] };
+                    groups.push(group);
                 }
+
+                group.cookies.push(cookie);
             });
+
+            if (other.cookies.length > 0) {
+                groups.push(other);
+            }
+
+            return groups;
         },
 
         /**
          * Trigger custom events
          */
         triggerEvent: function(eventName, data) {
+            const detail = { ...data, variant: this.variant || null, timeToDecision: this.getTimeToDecision() };
+
+            if (debugLogging && this.config.debug) {
+                this.log('triggerEvent', eventName, detail);
+            }
+
             const event = new CustomEvent('cookieConsent:' + eventName, {
-                detail: data,
+                detail: detail,
                 bubbles: true,
                 cancelable: true
             });
-            document.dispatchEvent(event);
-        }
-    };
 
-    // Expose to global scope
-    window.CookieConsent = CookieConsent;
+            // Dispatch on the container so each instance's events can be told apart; they still bubble to document
+            const target = this.container && this.container.isConnected ? this.container : document;
+            target.dispatchEvent(event);
 
-    // Auto-initialise if data attribute exists
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', function() {
-            if (document.querySelector('[data-cookie-consent]')) {
-                CookieConsent.init();
+            if (analyticsEvents.includes(eventName)) {
+                this.sendAnalytics(eventName, detail);
+            }
+        },
+
+        /**
+         * Report a banner impression or decision to analyticsEndpoint
+         * Only the event, variant, model, timing and chosen categories are sent, nothing that identifies the visitor,
+         * so accept rates can be measured first-party without consent
+         */
+        sendAnalytics: function(eventName, detail) {
+            const endpoint = this.config.analyticsEndpoint;
+
+            if (!endpoint) {
+                return;
+            }
+
+            const payload = {
+                event: eventName,
+                variant: detail.variant,
+                timeToDecision: detail.timeToDecision,
+                categories: Array.isArray(detail.categories) ? detail.categories : null,
+                consentModel: this.getConsentModel(),
+                timestamp: new Date().toISOString()
+            };
+
+            if (typeof endpoint === 'function') {
+                endpoint.call(this, payload);
+                return;
+            }
+
+            const body = JSON.stringify(payload);
+
+            if (window.navigator.sendBeacon && window.navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+
+            if (typeof window.fetch === 'function') {
+                window.fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: body,
+                    credentials: 'omit',
+                    keepalive: true
+                }).catch(() => {
+                    // Analytics are best effort, a lost report is not retried
+                });
             }
-        });
-    } else {
-        if (document.querySelector('[data-cookie-consent]')) {
-            CookieConsent.init();
         }
-    }
+    };
+
+    const defaultConfig = { ...CookieConsent.config };
+
+    // Events reported to analyticsEndpoint
+    const analyticsEvents = ['banner-shown', 'consent-given', 'consent-rejected', 'consent-opted-out', 'consent-revoked'];
+
+    CookieConsent.resetState();
 
-})(window, document);
+    return CookieConsent;
+});
@@ -0,0 +1,90 @@
+/**
+ * Cookie Consent Library - Server helpers
+ * Read the consent cookie from a request and write it in a response, with no DOM
+ */
+
+import CookieConsent from './index.js';
+
+/**
+ * Split server-only options from library options
+ * gpc is whether the request carried a Sec-GPC: 1 header
+ */
+function createServerInstance(options) {
+    const { gpc, ...config } = options || {};
+    const server = CookieConsent.instantiate({ localStorageFallback: false, observeElements: false, ...config });
+
+    server.getPrivacySignal = () => (server.config.respectGpc && gpc ? 'gpc' : null);
+
+    return server;
+}
+
+/**
+ * Parse a raw Cookie header into name/value pairs
+ */
+export function parseCookieHeader(header) {
+    return CookieConsent.parseCookies(header);
+}
+
+/**
+ * Read the consent decision from a raw Cookie header
+ * Returns an instance answering getConsent(), hasConsent(), needsConsent() and the other read methods
+ * exactly as the browser will; pass the same categories, cookieName, revision and consentMaxAge as the client
+ */
+export function readConsent(cookieHeader, options) {
+    const server = createServerInstance(options);
+    const cookies = server.parseCookies(cookieHeader);
+
+    server.getCookie = name => (Object.prototype.hasOwnProperty.call(cookies, name) ? cookies[name] : null);
+
+    return server;
+}
+
+/**
+ * Check a category, or a vendor within it, against a raw Cookie header
+ */
+export function hasConsent(cookieHeader, category, vendor, options) {
+    return readConsent(cookieHeader, options).hasConsent(category, vendor);
+}
+
+/**
+ * Record a decision posted to the server and build the Set-Cookie header that stores it
+ * decision.categories lists the chosen categories, or is 'all'; unknown ids are dropped and required ones added
+ * decision.vendors optionally maps category ids to objects mapping vendor ids to true or false
+ */
+export function createConsentCookie(decision, options) {
+    const server = createServerInstance(options);
+    const blocked = server.getSignalBlockedCategories();
+    const chosen = decision && decision.categories === 'all'
+        ? server.getCategories().map(category => category.id)
+        : [].concat((decision && decision.categories) || []);
+    const categories = server.getRequiredCategories().concat(
+        server.getCategories()
+            .map(category => category.id)
+            .filter(id => chosen.includes(id) && !server.isRequired(id) && !blocked.includes(id))
+    );
+    const consent = server.createConsentRecord(categories.some(id => !server.isRequired(id)), categories);
+
+    Object.keys((decision && decision.vendors) || {}).forEach(category => {
+        const choices = decision.vendors[category] || {};
+
+        Object.keys(choices).forEach(vendor => {
+            if (typeof choices[vendor] === 'boolean') {
+                consent.vendors[category] = { ...consent.vendors[category], [vendor]: choices[vendor] };
+            }
+        });
+    });
+
+    return {
+        consent: consent,
+        header: server.serializeCookie(server.config.cookieName, server.serializeConsent(consent), server.config.cookieExpiry)
+    };
+}
+
+/**
+ * Build the Set-Cookie header that removes the consent cookie
+ */
+export function clearConsentCookie(options) {
+    const server = createServerInstance(options);
+
+    return server.serializeCookie(server.config.cookieName, '', -1);
+}
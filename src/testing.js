@@ -0,0 +1,45 @@
+/**
+ * Cookie Consent Library - Test helpers
+ * Seed a decision and reset between tests, under jsdom or any other DOM test environment
+ */
+
+/**
+ * Store a decision as if the visitor had made it
+ * categories lists the optional categories to grant, or is 'all'; required categories are always granted
+ * overrides replaces fields of the stored record, for example an old timestamp to test expiry
+ * An initialised instance re-checks consent straight away, otherwise the decision is picked up by init()
+ */
+export function seedConsent(instance, categories, overrides) {
+    const required = instance.getRequiredCategories();
+    const chosen = categories === 'all'
+        ? instance.getCategories().map(category => category.id)
+        : [].concat(categories || []);
+    const optional = chosen.filter(id => !required.includes(id));
+    const consent = {
+        ...instance.createConsentRecord(optional.length > 0, required.concat(optional)),
+        ...overrides
+    };
+
+    instance.saveConsent(consent);
+
+    if (instance.initialised && instance.container) {
+        instance.checkConsent();
+    }
+
+    return consent;
+}
+
+/**
+ * Put an instance back as it was when the page loaded
+ * Removes its listeners and elements, every cookie the page can see and the library's storage keys,
+ * and restores the default configuration so options from one test do not leak into the next
+ */
+export function resetConsent(instance) {
+    const name = instance.config.cookieName;
+
+    instance.destroy();
+    instance.getAllCookies().forEach(cookie => instance.deleteCookieEverywhere(cookie.name));
+    instance.clearDeclarations([name, name + '_log_queue'].map(key => ({ name: key, type: 'localStorage' })));
+    instance.clearDeclarations([{ name: name + '_variant', type: 'sessionStorage' }]);
+    instance.config = instance.instantiate().config;
+}
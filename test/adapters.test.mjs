@@ -0,0 +1,107 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElement } from 'react';
+import { renderToString } from 'react-dom/server';
+import { createPage, settle } from './setup.mjs';
+
+// The page's own manager, already holding a decision, stands in for a returning visitor
+const window = await createPage();
+const consent = window.CookieConsent;
+
+consent.init();
+consent.accept(['analytics']);
+
+// React and Vue look for browser globals when they hydrate
+const globals = ['window', 'document', 'navigator', 'Element', 'SVGElement', 'Node', 'Text', 'Comment'];
+const previous = globals.map(name => Object.getOwnPropertyDescriptor(globalThis, name));
+
+globals.forEach(name => {
+    Object.defineProperty(globalThis, name, { value: name === 'window' ? window : window[name], configurable: true, writable: true });
+});
+
+after(() => {
+    globals.forEach((name, index) => {
+        if (previous[index]) {
+            Object.defineProperty(globalThis, name, previous[index]);
+        } else {
+            delete globalThis[name];
+        }
+    });
+    window.close();
+});
+
+test('React: the server render hydrates, then shows the stored consent', async () => {
+    const { ConsentGate } = await import('../dist/esm/adapters/react.js');
+    const { hydrateRoot } = await import('react-dom/client');
+    const { act } = await import('react');
+    const gate = () => createElement(ConsentGate, { category: 'analytics', instance: consent, fallback: 'hidden' }, 'shown');
+    const errors = [];
+
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+    const html = renderToString(gate());
+    const container = window.document.createElement('div');
+    container.innerHTML = html;
+    window.document.body.appendChild(container);
+
+    assert.equal(html, 'hidden');
+
+    let root;
+    await act(async () => {
+        root = hydrateRoot(container, gate(), { onRecoverableError: error => errors.push(error) });
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(container.textContent, 'shown');
+
+    await act(async () => {
+        root.unmount();
+    });
+    delete globalThis.IS_REACT_ACT_ENVIRONMENT;
+});
+
+test('React: initial renders the gated content on the server', async () => {
+    const { ConsentGate } = await import('../dist/esm/adapters/react.js');
+
+    const html = renderToString(createElement(ConsentGate, { category: 'analytics', instance: consent, initial: true, fallback: 'hidden' }, 'shown'));
+
+    assert.equal(html, 'shown');
+});
+
+test('Vue: the server render hydrates, then shows the stored consent', async () => {
+    const { useConsent } = await import('../dist/esm/adapters/vue.js');
+    const { createSSRApp, h } = await import('vue');
+    const { renderToString: renderVue } = await import('vue/server-renderer');
+    const component = {
+        setup() {
+            const granted = useConsent('analytics', consent);
+            return () => h('span', granted.value ? 'shown' : 'hidden');
+        }
+    };
+    const warnings = [];
+
+    const html = await renderVue(createSSRApp(component));
+    const container = window.document.createElement('div');
+    container.innerHTML = html;
+    window.document.body.appendChild(container);
+
+    assert.equal(container.textContent, 'hidden');
+
+    const app = createSSRApp(component);
+    app.config.warnHandler = message => warnings.push(message);
+    const errors = [];
+    const original = console.error;
+    console.error = message => errors.push(message);
+    try {
+        app.mount(container);
+        await settle(window);
+    } finally {
+        console.error = original;
+    }
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(errors.filter(message => /hydration/i.test(String(message))), []);
+    assert.equal(container.textContent, 'shown');
+
+    app.unmount();
+});
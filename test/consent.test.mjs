@@ -0,0 +1,475 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { banner, createPage, plain, recordEvents, settle } from './setup.mjs';
+
+let window;
+
+afterEach(() => {
+    window.close();
+});
+
+test('accept() stores every category and hides the banner', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    consent.init();
+    assert.equal(consent.container.style.display, 'block');
+    assert.equal(consent.hasConsent('analytics'), false);
+
+    consent.accept();
+
+    assert.deepEqual(plain(consent.getConsent().categories), ['necessary', 'analytics', 'marketing']);
+    assert.equal(consent.getConsent().accepted, true);
+    assert.equal(consent.hasConsent('analytics'), true);
+    assert.equal(consent.hasConsent('marketing'), true);
+
+    await settle(window);
+    assert.equal(consent.container.style.display, 'none');
+});
+
+test('accept() only stores the ticked categories', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false">' +
+            '<input type="checkbox" class="js-cookie-category" value="analytics">' +
+            '<input type="checkbox" class="js-cookie-category" value="marketing">' +
+            '<button class="js-cookie-accept">Accept</button></div>'
+    });
+    const consent = window.CookieConsent;
+
+    consent.init();
+    window.document.querySelector('.js-cookie-category[value="analytics"]').checked = true;
+    window.document.querySelector('.js-cookie-accept').click();
+
+    assert.deepEqual(plain(consent.getConsent().categories), ['necessary', 'analytics']);
+    assert.equal(consent.hasConsent('marketing'), false);
+});
+
+test('accept() with only the required categories ticked is a rejection', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false">' +
+            '<input type="checkbox" class="js-cookie-category" value="necessary" checked disabled>' +
+            '<input type="checkbox" class="js-cookie-category" value="analytics">' +
+            '<button class="js-cookie-accept">Save</button></div>'
+    });
+    const consent = window.CookieConsent;
+    const events = recordEvents(window, ['consent-given', 'consent-rejected']);
+
+    consent.init({ consentMaxAge: { accepted: 365, rejected: 30 } });
+    window.document.querySelector('.js-cookie-accept').click();
+
+    const record = consent.getConsent();
+    const days = (Date.parse(record.expires) - Date.parse(record.timestamp)) / (24 * 60 * 60 * 1000);
+
+    assert.deepEqual(plain(record.categories), ['necessary']);
+    assert.equal(record.accepted, false);
+    assert.equal(Math.round(days), 30);
+    assert.deepEqual(events.map(event => event.name), ['consent-rejected']);
+});
+
+test('reject() keeps only the required categories', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    consent.init();
+    window.document.querySelector('.js-cookie-reject').click();
+
+    assert.deepEqual(plain(consent.getConsent().categories), ['necessary']);
+    assert.equal(consent.getConsent().accepted, false);
+    assert.equal(consent.hasConsent('necessary'), true);
+    assert.equal(consent.hasConsent('analytics'), false);
+});
+
+test('revoke() clears the decision and shows the banner again', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    consent.init();
+    consent.accept();
+    consent.revoke();
+
+    assert.equal(consent.getConsent(), null);
+    assert.equal(consent.getCookie('cookie_consent'), null);
+    assert.equal(consent.hasConsent('analytics'), false);
+    assert.equal(consent.container.style.display, 'block');
+});
+
+test('revoke() straight after accept() leaves the banner showing', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    consent.init();
+    consent.accept();
+    consent.revoke();
+    await settle(window);
+
+    assert.equal(consent.container.style.display, 'block');
+    assert.equal(consent.container.classList.contains('is-visible'), true);
+});
+
+test('hasConsent() follows per-vendor choices within a granted category', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    consent.init();
+    consent.accept();
+
+    const record = { ...consent.getConsent(), vendors: { marketing: { facebook: false } } };
+    consent.saveConsent(record);
+
+    assert.equal(consent.hasConsent('marketing'), true);
+    assert.equal(consent.hasConsent('marketing', 'facebook'), false);
+    assert.equal(consent.hasConsent('marketing', 'google-ads'), true);
+});
+
+test('a vendor refused in one category keeps its choice in another', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    consent.init();
+    consent.accept();
+    consent.saveConsent({ ...consent.getConsent(), vendors: { marketing: { google: false } } });
+
+    assert.equal(consent.hasConsent('marketing', 'google'), false);
+    assert.equal(consent.hasConsent('analytics', 'google'), true);
+});
+
+test('vendors the user did not change follow their category', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false">' +
+            '<input type="checkbox" class="js-cookie-category" value="analytics">' +
+            '<div class="js-cookie-vendors" data-category="analytics"></div>' +
+            '<button class="js-cookie-accept">Accept</button></div>'
+    });
+    const consent = window.CookieConsent;
+    const change = checkbox => checkbox.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+    consent.init({
+        categories: [
+            { id: 'necessary', label: 'Necessary', required: true },
+            { id: 'analytics', label: 'Analytics', vendors: [{ id: 'ga' }, { id: 'hotjar' }] }
+        ]
+    });
+
+    const category = window.document.querySelector('.js-cookie-category');
+    const hotjar = window.document.querySelector('.js-cookie-vendor[value="hotjar"]');
+
+    category.checked = true;
+    change(category);
+    assert.equal(hotjar.checked, true);
+
+    hotjar.checked = false;
+    change(hotjar);
+    consent.accept();
+
+    assert.equal(consent.hasConsent('analytics', 'ga'), true);
+    assert.equal(consent.hasConsent('analytics', 'hotjar'), false);
+    assert.deepEqual(plain(consent.getConsent().vendors), { analytics: { hotjar: false } });
+});
+
+test('accept() without category boxes allows every vendor', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false">' +
+            '<div class="js-cookie-vendors" data-category="analytics"></div>' +
+            '<button class="js-cookie-accept">Accept</button></div>'
+    });
+    const consent = window.CookieConsent;
+
+    consent.init({
+        categories: [
+            { id: 'necessary', label: 'Necessary', required: true },
+            { id: 'analytics', label: 'Analytics', vendors: [{ id: 'ga' }] }
+        ]
+    });
+    consent.accept();
+
+    assert.equal(consent.hasConsent('analytics', 'ga'), true);
+});
+
+test('acceptAll() grants vendors refused in an earlier decision', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    consent.init({
+        categories: [
+            { id: 'necessary', label: 'Necessary', required: true },
+            { id: 'analytics', label: 'Analytics', vendors: [{ id: 'ga' }, { id: 'hotjar' }] }
+        ]
+    });
+    consent.accept();
+    consent.saveConsent({ ...consent.getConsent(), vendors: { analytics: { hotjar: false } } });
+
+    consent.acceptAll();
+
+    assert.equal(consent.hasConsent('analytics', 'hotjar'), true);
+    assert.deepEqual(plain(consent.getConsent().vendors), { analytics: { hotjar: true, ga: true } });
+});
+
+test('the consent cookie round-trips through document.cookie', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    consent.init();
+    consent.accept();
+
+    const stored = consent.getCookie('cookie_consent');
+
+    assert.match(stored, /^1\.[A-Za-z0-9_-]+$/);
+    assert.deepEqual(plain(consent.parseConsent(stored)), plain(consent.getConsent()));
+    assert.match(window.document.cookie, /cookie_consent=1\./);
+});
+
+test('serializeConsent() and parseConsent() keep non-ASCII text intact', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+    const record = { ...consent.createConsentRecord(true, ['necessary', 'analytics']), id: 'prüfung-✓' };
+
+    assert.deepEqual(plain(consent.parseConsent(consent.serializeConsent(record))), plain(record));
+});
+
+test('a decision from the previous JSON format is read and re-saved encoded', async () => {
+    const legacy = { accepted: true, categories: ['necessary', 'analytics'], timestamp: new Date().toISOString() };
+
+    window = await createPage({ cookies: ['cookie_consent=' + encodeURIComponent(JSON.stringify(legacy)) + '; path=/'] });
+    const consent = window.CookieConsent;
+
+    consent.init();
+    await settle(window);
+
+    assert.equal(consent.hasConsent('analytics'), true);
+    assert.equal(consent.container.style.display, 'none');
+    assert.match(consent.getCookie('cookie_consent'), /^1\./);
+});
+
+test('a corrupt consent cookie is removed and the banner shown', async () => {
+    window = await createPage({ cookies: ['cookie_consent={"accepted":"yes"; path=/'] });
+    const consent = window.CookieConsent;
+    let invalid = null;
+
+    window.document.addEventListener('cookieConsent:consent-invalid', event => {
+        invalid = event.detail.value;
+    });
+    consent.init();
+
+    assert.equal(invalid, '{"accepted":"yes"');
+    assert.equal(consent.getCookie('cookie_consent'), null);
+    assert.equal(consent.getConsent(), null);
+    assert.equal(consent.container.style.display, 'block');
+});
+
+test('a decision older than consentMaxAge is treated as expired', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+    const old = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString();
+
+    consent.saveConsent({ ...consent.createConsentRecord(true, ['necessary', 'analytics']), timestamp: old, expires: old });
+    consent.init();
+
+    assert.equal(consent.getConsent(), null);
+    assert.equal(consent.hasConsent('analytics'), false);
+    assert.equal(consent.container.style.display, 'block');
+});
+
+test('consent-expired fires once and the expired record is removed', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+    const old = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString();
+    let expired = 0;
+
+    window.document.addEventListener('cookieConsent:consent-expired', () => expired++);
+    consent.saveConsent({ ...consent.createConsentRecord(true, ['necessary', 'analytics']), timestamp: old, expires: old });
+    consent.init();
+    consent.init();
+
+    assert.equal(expired, 1);
+    assert.equal(consent.getCookie('cookie_consent'), null);
+    assert.equal(window.localStorage.getItem('cookie_consent'), null);
+});
+
+test('a newer revision withholds the earlier grants until the user decides again', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false">' +
+            '<input type="checkbox" class="js-cookie-category" value="analytics"></div>' +
+            '<script type="text/plain" data-cookie-category="analytics">window.analytics = true;</script>'
+    });
+    const consent = window.CookieConsent;
+
+    consent.saveConsent(consent.createConsentRecord(true, ['necessary', 'analytics']));
+    consent.init({ revision: 2 });
+
+    assert.equal(consent.hasConsent('analytics'), false);
+    assert.equal(consent.container.style.display, 'block');
+    assert.equal(window.document.querySelector('.js-cookie-category').checked, true);
+    assert.equal(window.document.querySelectorAll('script[data-cookie-activated]').length, 0);
+
+    consent.accept();
+
+    assert.equal(consent.hasConsent('analytics'), true);
+    assert.equal(window.document.querySelectorAll('script[data-cookie-activated]').length, 1);
+});
+
+test('viewCookies() keeps values that contain "="', async () => {
+    window = await createPage({ cookies: ['session=abc==; path=/', 'pair=a=b; path=/'] });
+    const consent = window.CookieConsent;
+
+    consent.init();
+
+    const cookies = consent.viewCookies();
+
+    assert.equal(cookies.find(cookie => cookie.name === 'session').value, 'abc==');
+    assert.equal(cookies.find(cookie => cookie.name === 'pair').value, 'a=b');
+});
+
+test('blocked scripts are activated once their category has consent', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false"></div>' +
+            '<script type="text/plain" data-cookie-category="analytics">window.analyticsLoaded = true;</script>'
+    });
+    const consent = window.CookieConsent;
+
+    consent.init();
+    assert.equal(window.document.querySelectorAll('script[data-cookie-activated]').length, 0);
+
+    consent.accept();
+
+    assert.equal(window.document.querySelectorAll('script[data-cookie-activated]').length, 1);
+});
+
+test('an instance from create() only gates elements inside its root', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false"></div>' +
+            '<script type="text/plain" data-cookie-category="analytics">window.page = true;</script>' +
+            '<div id="widget"><div id="widget-consent"></div>' +
+            '<script type="text/plain" data-cookie-category="analytics">window.widget = true;</script></div>',
+        cookies: ['_ga=GA1.1.1; path=/']
+    });
+    const consent = window.CookieConsent;
+    const declared = [
+        { id: 'necessary', label: 'Necessary', required: true },
+        { id: 'analytics', label: 'Analytics', cookies: [{ name: '_ga' }] }
+    ];
+
+    consent.init({ categories: declared });
+
+    const widget = consent.create({ containerSelector: '#widget-consent', cookieName: 'widget_consent', root: '#widget', categories: declared });
+
+    widget.accept();
+
+    assert.equal(window.document.querySelectorAll('#widget script[data-cookie-activated]').length, 1);
+    assert.equal(window.document.querySelectorAll('script[data-cookie-activated]').length, 1);
+
+    widget.reject();
+
+    assert.equal(consent.getCookie('_ga'), 'GA1.1.1');
+    widget.destroy();
+});
+
+test('an instance from create() defaults to its own container', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false"></div>' +
+            '<div id="widget-consent"></div>' +
+            '<script type="text/plain" data-cookie-category="analytics">window.page = true;</script>'
+    });
+    const widget = window.CookieConsent.create({ containerSelector: '#widget-consent', cookieName: 'widget_consent' });
+
+    widget.accept();
+
+    assert.equal(widget.getRoot(), widget.container);
+    assert.equal(window.document.querySelectorAll('script[data-cookie-activated]').length, 0);
+    assert.equal(window.CookieConsent.getRoot(), window.document);
+    widget.destroy();
+});
+
+test('an instance from create() leaves the page\'s own controls alone', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false"></div>' +
+            '<button class="js-cookie-do-not-sell" hidden>Do not sell</button>' +
+            '<a href="#" class="js-cookie-show-settings">Settings</a>' +
+            '<div class="js-cookies-inline"></div>' +
+            '<div id="widget-consent"><button class="js-cookie-do-not-sell">Do not sell</button></div>'
+    });
+    const widget = window.CookieConsent.create({ containerSelector: '#widget-consent', cookieName: 'widget_consent', consentModels: { default: 'opt-out' } });
+    const [pageButton, widgetButton] = window.document.querySelectorAll('.js-cookie-do-not-sell');
+    let opened = false;
+
+    widget.showPreferences = () => {
+        opened = true;
+    };
+    widget.renderInlineCookies();
+    window.document.querySelector('.js-cookie-show-settings').click();
+
+    assert.equal(pageButton.hidden, true);
+    assert.equal(widgetButton.hidden, false);
+    assert.equal(window.document.querySelector('.js-cookies-inline').innerHTML, '');
+    assert.equal(opened, false);
+
+    widget.destroy();
+
+    assert.equal(widgetButton.hidden, false);
+});
+
+test('destroy() puts back the do-not-sell hidden state', async () => {
+    window = await createPage({
+        body: banner() + '<button class="js-cookie-do-not-sell">Do not sell</button>'
+    });
+    const consent = window.CookieConsent;
+    const button = window.document.querySelector('.js-cookie-do-not-sell');
+
+    consent.init();
+
+    assert.equal(button.hidden, true);
+
+    consent.destroy();
+
+    assert.equal(button.hidden, false);
+});
+
+test('a GPC signal on a first visit refuses its categories and still asks about the rest', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    Object.defineProperty(window.navigator, 'globalPrivacyControl', { value: true });
+    consent.init({ respectGpc: true });
+
+    const record = consent.getConsent();
+
+    assert.equal(record.source, 'gpc');
+    assert.deepEqual(plain(record.knownCategories), ['necessary', 'marketing']);
+    assert.equal(consent.hasConsent('marketing'), false);
+    assert.equal(consent.container.style.display, 'block');
+
+    consent.accept();
+
+    assert.deepEqual(plain(consent.getConsent().categories), ['necessary', 'analytics']);
+    assert.equal(consent.getRepromptReason(consent.getConsent()), null);
+});
+
+test('a GPC signal needs no banner when it covers every optional category', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    Object.defineProperty(window.navigator, 'globalPrivacyControl', { value: true });
+    consent.init({ respectGpc: true, privacySignalCategories: ['analytics', 'marketing'] });
+    await settle(window);
+
+    assert.deepEqual(plain(consent.getConsent().categories), ['necessary']);
+    assert.equal(consent.container.style.display, 'none');
+});
+
+test('the signal notice is hidden again when the banner is shown for another reason', async () => {
+    window = await createPage({
+        body: banner().replace('<button', '<p data-cookie-consent-signal-notice hidden>Signal honoured</p><button')
+    });
+    const consent = window.CookieConsent;
+    const notice = window.document.querySelector('[data-cookie-consent-signal-notice]');
+
+    Object.defineProperty(window.navigator, 'globalPrivacyControl', { value: true });
+    consent.init({ respectGpc: true, privacySignalMode: 'notice' });
+
+    assert.equal(notice.hidden, false);
+
+    consent.accept();
+    consent.revoke();
+
+    assert.equal(consent.container.style.display, 'block');
+    assert.equal(notice.hidden, true);
+});
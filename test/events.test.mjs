@@ -0,0 +1,198 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPage, recordEvents, plain, reload } from './setup.mjs';
+
+let window;
+
+afterEach(() => {
+    window.close();
+});
+
+test('a first visit fires banner-shown', async () => {
+    window = await createPage();
+    const events = recordEvents(window, ['banner-shown', 'banner-hidden']);
+
+    window.CookieConsent.init();
+
+    assert.deepEqual(events.map(event => event.name), ['banner-shown']);
+    assert.deepEqual(plain(events[0].detail), { variant: null, timeToDecision: null });
+});
+
+test('consent-given carries the stored record', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+    const events = recordEvents(window, ['consent-given', 'banner-hidden']);
+
+    consent.init();
+    consent.accept();
+
+    const given = events.find(event => event.name === 'consent-given').detail;
+
+    assert.deepEqual(events.map(event => event.name), ['banner-hidden', 'consent-given']);
+    assert.equal(given.accepted, true);
+    assert.deepEqual(plain(given.categories), ['necessary', 'analytics', 'marketing']);
+    assert.equal(given.id, consent.getConsentId());
+    assert.equal(given.source, 'user');
+    assert.equal(typeof given.timeToDecision, 'number');
+    assert.ok(given.timeToDecision >= 0);
+});
+
+test('consent-rejected carries only the required categories', async () => {
+    window = await createPage();
+    const events = recordEvents(window, ['consent-rejected']);
+
+    window.CookieConsent.init();
+    window.CookieConsent.reject();
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].detail.accepted, false);
+    assert.deepEqual(plain(events[0].detail.categories), ['necessary']);
+});
+
+test('consent-revoked is followed by the banner showing again', async () => {
+    window = await createPage();
+    const events = recordEvents(window, ['consent-revoked', 'banner-shown']);
+
+    window.CookieConsent.init();
+    window.CookieConsent.accept();
+    window.CookieConsent.revoke();
+
+    assert.deepEqual(events.map(event => event.name), ['banner-shown', 'banner-shown', 'consent-revoked']);
+    assert.equal(events[2].detail.timeToDecision, null);
+});
+
+test('element-activated names the element, categories and vendor', async () => {
+    window = await createPage({
+        body: '<div data-cookie-consent data-cookie-consent-auto-init="false"></div>' +
+            '<iframe data-cookie-category="marketing" data-cookie-vendor="youtube" data-src="https://www.youtube.com/embed/x"></iframe>'
+    });
+    const events = recordEvents(window, ['element-activated']);
+
+    window.CookieConsent.init();
+    window.CookieConsent.accept();
+
+    const iframe = window.document.querySelector('iframe');
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].detail.element, iframe);
+    assert.deepEqual(plain(events[0].detail.categories), ['marketing']);
+    assert.equal(events[0].detail.vendor, 'youtube');
+    assert.equal(iframe.getAttribute('src'), 'https://www.youtube.com/embed/x');
+});
+
+test('events include the assigned variant', async () => {
+    window = await createPage();
+    const events = recordEvents(window, ['banner-shown', 'consent-given']);
+
+    window.CookieConsent.init({ variants: [{ id: 'modal', position: 'center' }] });
+    window.CookieConsent.accept();
+
+    assert.deepEqual(events.map(event => event.detail.variant), ['modal', 'modal']);
+    assert.equal(window.CookieConsent.getConsent().variant, 'modal');
+    assert.equal(window.CookieConsent.position, 'center');
+});
+
+test('the assigned variant lasts for the session without a decision', async () => {
+    window = await createPage();
+    const variants = [{ id: 'a' }, { id: 'b' }];
+
+    window.Math.random = () => 0;
+    window.CookieConsent.init({ variants: variants });
+
+    assert.equal(window.CookieConsent.variant, 'a');
+    assert.equal(window.localStorage.length, 0);
+    assert.equal(window.document.cookie, '');
+
+    // Without the stored assignment the reloaded page would pick 'b'
+    window.Math.random = () => 0.99;
+
+    const reloaded = reload(window);
+
+    reloaded.init({ variants: variants });
+
+    assert.equal(reloaded.variant, 'a');
+});
+
+test('events are dispatched on the container and bubble to the document', async () => {
+    window = await createPage();
+    const container = window.document.querySelector('[data-cookie-consent]');
+    const targets = [];
+
+    container.addEventListener('cookieConsent:consent-given', event => targets.push(event.target));
+    window.document.addEventListener('cookieConsent:consent-given', event => targets.push(event.target));
+
+    window.CookieConsent.init();
+    window.CookieConsent.accept();
+
+    assert.deepEqual(targets, [container, container]);
+});
+
+test('a receipt refused with a 4xx is dropped so later receipts are sent', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+    const statuses = [400, 200];
+    const sent = [];
+    const events = recordEvents(window, ['consent-log-refused', 'consent-logged']);
+
+    window.fetch = (url, options) => {
+        sent.push(JSON.parse(options.body).action);
+        const status = statuses.shift();
+        return Promise.resolve({ ok: status < 300, status: status });
+    };
+
+    consent.init({ consentLogEndpoint: '/log' });
+    await consent.flushConsentLog();
+    consent.logConsent(consent.createConsentRecord(true, ['necessary']), 'accept');
+    consent.logConsent(consent.createConsentRecord(false, ['necessary']), 'reject');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.deepEqual(sent, ['accept', 'reject']);
+    assert.deepEqual(events.map(event => event.name), ['consent-log-refused', 'consent-logged']);
+    assert.equal(events[0].detail.status, 400);
+    assert.deepEqual(plain(consent.getConsentLogQueue()), []);
+});
+
+test('a receipt that fails with a server error stays queued', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+
+    window.fetch = () => Promise.resolve({ ok: false, status: 503 });
+
+    consent.init({ consentLogEndpoint: '/log' });
+    consent.logConsent(consent.createConsentRecord(true, ['necessary']), 'accept');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.equal(consent.getConsentLogQueue().length, 1);
+});
+
+test('a receipt whose fetch fails while the page unloads is sent with sendBeacon', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+    const beacons = [];
+
+    window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    window.navigator.sendBeacon = (url, data) => beacons.push(url) > 0;
+    Object.defineProperty(window.document, 'visibilityState', { value: 'hidden', configurable: true });
+
+    consent.init({ consentLogEndpoint: '/log' });
+    consent.logConsent(consent.createConsentRecord(true, ['necessary']), 'accept');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.deepEqual(beacons, ['/log']);
+    assert.equal(consent.getConsentLogQueue().length, 0);
+});
+
+test('lifecycle steps are only logged in debug mode', async () => {
+    window = await createPage();
+    const logged = [];
+
+    window.console.info = message => logged.push(message);
+    window.CookieConsent.init();
+    window.CookieConsent.accept();
+
+    assert.equal(logged.length, 0);
+
+    window.CookieConsent.init({ debug: true });
+
+    assert.ok(logged.includes('Cookie consent [checkConsent]: valid decision, granted necessary, analytics, marketing'));
+});
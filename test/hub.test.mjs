@@ -0,0 +1,68 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createPage, recordEvents } from './setup.mjs';
+
+const hubSource = readFileSync(new URL('../src/ccmanager-hub.js', import.meta.url), 'utf8');
+
+let window;
+
+afterEach(() => {
+    window.close();
+});
+
+/**
+ * Send a request to the hub as a site would, resolving with its reply
+ */
+function request(hub, action, consent) {
+    let reply = null;
+
+    hub.handleMessage({
+        data: { type: 'cookie-consent-hub', id: 1, action: action, consent: consent },
+        origin: 'https://www.example.com',
+        source: { postMessage: message => { reply = message; } }
+    });
+
+    return reply.consent;
+}
+
+const at = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+test('the hub keeps a revocation so an older record cannot bring the decision back', async () => {
+    window = await createPage();
+    window.eval(hubSource);
+
+    const hub = window.CookieConsentHub;
+
+    hub.init({ allowedOrigins: ['https://www.example.com'] });
+    request(hub, 'set', { accepted: true, categories: ['necessary', 'analytics'], timestamp: at(-2) });
+    request(hub, 'clear', { revoked: true, timestamp: at(-1) });
+
+    assert.equal(request(hub, 'set', { accepted: true, categories: ['necessary', 'analytics'], timestamp: at(-2) }).revoked, true);
+    assert.equal(request(hub, 'get').revoked, true);
+
+    const newer = request(hub, 'set', { accepted: false, categories: ['necessary'], timestamp: at(0) });
+
+    assert.equal(newer.accepted, false);
+});
+
+test('a revocation from the hub is applied without holding the page back', async () => {
+    window = await createPage();
+    const consent = window.CookieConsent;
+    const events = recordEvents(window, ['consent-changed']);
+
+    consent.saveConsent({ ...consent.createConsentRecord(true, ['necessary', 'analytics']), timestamp: at(-2) });
+    consent.connectHub = () => Promise.resolve();
+    consent.requestFromHub = () => Promise.resolve({ revoked: true, timestamp: at(-1) });
+    consent.init({ crossDomain: { hubUrl: 'https://consent.example.com/hub.html' } });
+
+    // The local record decides straight away
+    assert.equal(consent.hasConsent('analytics'), true);
+
+    await consent.ready;
+
+    assert.equal(consent.getConsent(), null);
+    assert.equal(consent.hasConsent('analytics'), false);
+    assert.equal(consent.container.style.display, 'block');
+    assert.deepEqual(events.map(event => event.detail.source), ['hub']);
+});
@@ -0,0 +1,107 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPage, banner } from './setup.mjs';
+
+let window;
+
+afterEach(() => {
+    window.close();
+});
+
+const positions = {
+    'top-left': { top: '0px', left: '0px', right: 'auto', bottom: 'auto', transform: '' },
+    'top-center': { top: '0px', left: '50%', right: 'auto', bottom: 'auto', transform: 'translateX(-50%)' },
+    'top-right': { top: '0px', right: '0px', left: 'auto', bottom: 'auto', transform: '' },
+    'bottom-left': { bottom: '0px', left: '0px', right: 'auto', top: 'auto', transform: '' },
+    'bottom-center': { bottom: '0px', left: '50%', right: 'auto', top: 'auto', transform: 'translateX(-50%)' },
+    'bottom-right': { bottom: '0px', right: '0px', left: 'auto', top: 'auto', transform: '' },
+    'center': { top: '50%', left: '50%', right: 'auto', bottom: 'auto', transform: 'translate(-50%, -50%)' }
+};
+
+const widths = {
+    full: '100%',
+    half: '50%',
+    third: '33.333%',
+    quarter: '25%'
+};
+
+const pick = (style, keys) => Object.fromEntries(keys.map(key => [key, style[key]]));
+
+Object.keys(positions).forEach(position => {
+    test(`${position} is fixed at the expected edges`, async () => {
+        window = await createPage({ body: banner(`data-cookie-consent-position="${position}" data-cookie-consent-width="auto"`) });
+        window.CookieConsent.init();
+
+        const style = window.CookieConsent.container.style;
+
+        assert.equal(style.position, 'fixed');
+        assert.equal(style.zIndex, '9999');
+        assert.deepEqual(pick(style, Object.keys(positions[position])), positions[position]);
+    });
+});
+
+Object.keys(positions).forEach(position => {
+    Object.keys(widths).forEach(width => {
+        test(`${position} with ${width} width`, async () => {
+            window = await createPage({ body: banner(`data-cookie-consent-position="${position}" data-cookie-consent-width="${width}"`) });
+            window.CookieConsent.init();
+
+            const style = window.CookieConsent.container.style;
+            const isEdge = !['top-center', 'bottom-center', 'center'].includes(position);
+
+            if (width === 'full' && isEdge) {
+                // Full width at a corner stretches between the edges instead of setting a width
+                assert.equal(style.left, '0px');
+                assert.equal(style.right, '0px');
+                assert.equal(style.width, 'auto');
+            } else {
+                assert.equal(style.width, widths[width]);
+                assert.equal(style.maxWidth, width === 'full' ? '' : widths[width]);
+            }
+        });
+    });
+});
+
+test('auto width leaves the width to the stylesheet', async () => {
+    window = await createPage({ body: banner('data-cookie-consent-width="auto"') });
+    window.CookieConsent.init();
+
+    assert.equal(window.CookieConsent.container.style.width, '');
+    assert.equal(window.CookieConsent.container.style.maxWidth, '');
+});
+
+test('defaults to bottom-center, full width and slide', async () => {
+    window = await createPage();
+    window.CookieConsent.init();
+
+    const container = window.CookieConsent.container;
+
+    assert.equal(window.CookieConsent.position, 'bottom-center');
+    assert.equal(container.style.bottom, '0px');
+    assert.equal(container.style.width, '100%');
+    assert.equal(container.getAttribute('data-cookie-consent-animation'), 'slide');
+});
+
+test('an unknown position falls back to bottom-center', async () => {
+    window = await createPage({ body: banner('data-cookie-consent-position="middle"') });
+    window.CookieConsent.init();
+
+    assert.equal(window.CookieConsent.container.style.bottom, '0px');
+    assert.equal(window.CookieConsent.container.style.transform, 'translateX(-50%)');
+});
+
+test('data attributes take priority over the options', async () => {
+    window = await createPage({ body: banner('data-cookie-consent-position="top-left" data-cookie-consent-animation="fade"') });
+    window.CookieConsent.init({ position: 'bottom-right', animation: 'scale', width: 'half' });
+
+    assert.equal(window.CookieConsent.position, 'top-left');
+    assert.equal(window.CookieConsent.container.getAttribute('data-cookie-consent-animation'), 'fade');
+    assert.equal(window.CookieConsent.container.style.width, '50%');
+});
+
+test('a centred banner is a modal dialog', async () => {
+    window = await createPage({ body: banner('data-cookie-consent-position="center"') });
+    window.CookieConsent.init();
+
+    assert.equal(window.CookieConsent.container.getAttribute('aria-modal'), 'true');
+});
@@ -0,0 +1,129 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPage, banner } from './setup.mjs';
+
+let window;
+
+afterEach(() => {
+    window.close();
+});
+
+const payload = '<img src=x onerror="window.pwned=true">';
+const hostileCookies = [
+    'xss=' + encodeURIComponent(payload) + '; path=/',
+    'raw=<script>window.pwned=true</script>; path=/',
+    'json=' + encodeURIComponent(JSON.stringify({ '<b>key</b>': payload, list: [payload] })) + '; path=/'
+];
+
+/**
+ * Check nothing from the hostile values became markup
+ */
+function assertInert(root) {
+    assert.equal(root.querySelectorAll('img, script, b').length, 0);
+    assert.equal(window.pwned, undefined);
+}
+
+test('renderInlineCookies() shows hostile names and values as text', async () => {
+    window = await createPage({
+        body: banner() + '<div class="js-cookies-inline"></div>',
+        cookies: hostileCookies
+    });
+    window.CookieConsent.init();
+
+    const inline = window.document.querySelector('.js-cookies-inline');
+
+    assertInert(inline);
+    assert.ok(inline.textContent.includes('<script>window.pwned=true</script>'));
+    assert.ok(inline.textContent.includes('<b>key</b>: ' + payload));
+});
+
+test('the cookie list dialog shows hostile values as text', async () => {
+    window = await createPage({ cookies: hostileCookies });
+    window.CookieConsent.init();
+    window.CookieConsent.viewCookies();
+
+    const dialog = window.document.querySelector('[role="dialog"][aria-modal="true"]:not([data-cookie-consent])');
+
+    assert.ok(dialog);
+    assertInert(dialog);
+    assert.ok(dialog.textContent.includes('<script>window.pwned=true</script>'));
+});
+
+test('hostile cookie names are shown as text', async () => {
+    window = await createPage({
+        body: banner() + '<div class="js-cookies-inline"></div>',
+        cookies: ['<b>bold</b>=1; path=/']
+    });
+    window.CookieConsent.init();
+
+    const inline = window.document.querySelector('.js-cookies-inline');
+
+    assertInert(inline);
+    assert.ok(inline.textContent.includes('<b>bold</b>'));
+});
+
+test('rendered banners show hostile translations and category labels as text', async () => {
+    window = await createPage({ body: '<div data-cookie-consent data-cookie-consent-auto-init="false"></div>' });
+    window.CookieConsent.init({
+        render: true,
+        translations: { en: { bannerTitle: payload } },
+        categories: [
+            { id: 'necessary', label: 'Necessary', required: true },
+            { id: 'analytics', label: payload, description: '<script>window.pwned=true</script>' }
+        ]
+    });
+
+    const container = window.CookieConsent.container;
+
+    assertInert(container);
+    assert.ok(container.textContent.includes(payload));
+});
+
+test('template context escape() makes values safe to interpolate', async () => {
+    window = await createPage({ body: '<div data-cookie-consent data-cookie-consent-auto-init="false"></div>' });
+    window.CookieConsent.init({
+        render: true,
+        templates: {
+            banner: context => `<div data-cookie-consent-view="banner"><h2>${context.escape(payload)}</h2></div>`
+        }
+    });
+
+    const heading = window.CookieConsent.container.querySelector('h2');
+
+    assertInert(window.CookieConsent.container);
+    assert.equal(heading.textContent, payload);
+});
+
+test('the inline table decodes the consent record into a list', async () => {
+    window = await createPage({ body: banner() + '<div class="js-cookies-inline"></div>' });
+    window.CookieConsent.init();
+    window.CookieConsent.accept();
+    window.CookieConsent.renderInlineCookies();
+
+    const list = window.document.querySelector('.js-cookies-inline .cookie-consent-value-list');
+
+    assert.ok(list);
+    assert.ok(list.textContent.includes('categories: necessary, analytics, marketing'));
+});
+
+test('the rendered banner offers the controls of the active consent model', async () => {
+    window = await createPage({ body: '<div data-cookie-consent data-cookie-consent-auto-init="false"></div>' });
+    const consent = window.CookieConsent;
+    const actions = () => Array.from(consent.container.querySelectorAll('[data-cookie-consent-view="banner"] button'))
+        .map(button => button.className.split(' ')[0]);
+
+    consent.init({ render: true });
+
+    assert.deepEqual(actions(), ['js-cookie-accept-all', 'js-cookie-reject', 'js-cookie-settings']);
+
+    consent.init({ render: true, consentModels: { default: 'opt-out' } });
+
+    assert.deepEqual(actions(), ['js-cookie-accept-all', 'js-cookie-do-not-sell', 'js-cookie-settings']);
+
+    // Re-rendering in another language replaces the buttons, which must still work
+    consent.setLanguage('en');
+    consent.container.querySelector('.js-cookie-do-not-sell').click();
+
+    assert.equal(consent.hasConsent('marketing'), false);
+    assert.equal(consent.hasConsent('analytics'), true);
+});
@@ -0,0 +1,82 @@
+/**
+ * Shared jsdom setup for the test suite
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const source = readFileSync(new URL('../src/ccmanager.js', import.meta.url), 'utf8');
+
+/**
+ * Banner markup with the usual buttons; auto-initialisation is off so each test calls init() itself
+ */
+export function banner(attributes) {
+    return `<div data-cookie-consent data-cookie-consent-auto-init="false" ${attributes || ''}>` +
+        '<button class="js-cookie-accept">Accept</button>' +
+        '<button class="js-cookie-reject">Reject</button>' +
+        '<button class="js-cookie-close">Close</button>' +
+        '</div>';
+}
+
+/**
+ * Load the library into a fresh page
+ * cookies are written before the library runs, as if left by an earlier visit
+ * Resolves once DOMContentLoaded has fired, so auto-initialisation has happened where enabled
+ */
+export function createPage(options) {
+    const { body = banner(), url = 'https://www.example.com/', cookies = [] } = options || {};
+    const dom = new JSDOM(`<!DOCTYPE html><html lang="en"><head></head><body>${body}</body></html>`, {
+        url: url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+
+    cookies.forEach(cookie => {
+        window.document.cookie = cookie;
+    });
+
+    window.eval(source);
+
+    return new Promise(resolve => {
+        window.document.addEventListener('DOMContentLoaded', () => resolve(window));
+    });
+}
+
+/**
+ * Run the library again in the same page, as a reload would: cookies and storage survive, module state does not
+ */
+export function reload(window) {
+    window.eval(source);
+
+    return window.CookieConsent;
+}
+
+/**
+ * Collect the name and detail of the named cookieConsent events, in the order they fire
+ */
+export function recordEvents(window, names) {
+    const events = [];
+
+    names.forEach(name => {
+        window.document.addEventListener('cookieConsent:' + name, event => {
+            events.push({ name: name, detail: event.detail });
+        });
+    });
+
+    return events;
+}
+
+/**
+ * Copy a value out of the page's realm so node:assert compares it structurally
+ */
+export function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Wait for the library's show and hide transitions to finish
+ */
+export function settle(window) {
+    return new Promise(resolve => window.setTimeout(resolve, 350));
+}
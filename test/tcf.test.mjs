@@ -0,0 +1,94 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { TCString } from '@iabtcf/core';
+import { createPage } from './setup.mjs';
+
+const source = readFileSync(new URL('../src/ccmanager-tcf.js', import.meta.url), 'utf8');
+
+// Vendor 10 declares purposes 3 and 4 under legitimate interest, which TCF v2.2 no longer allows
+const gvl = {
+    vendorListVersion: 50,
+    tcfPolicyVersion: 4,
+    vendors: {
+        10: { id: 10, purposes: [1, 2], legIntPurposes: [3, 4, 7], specialFeatures: [] },
+        20: { id: 20, purposes: [1], legIntPurposes: [2, 10], specialFeatures: [] },
+        30: { id: 30, purposes: [1], legIntPurposes: [], specialFeatures: [] }
+    }
+};
+
+let window;
+
+afterEach(() => {
+    window.close();
+});
+
+/**
+ * Ids set in a decoded TC string vector
+ */
+function ids(vector) {
+    const set = [];
+
+    vector.forEach((value, id) => {
+        if (value) {
+            set.push(id);
+        }
+    });
+
+    return set;
+}
+
+/**
+ * A page with the core library and the TCF module, both initialised
+ */
+async function createTcfPage(categories) {
+    window = await createPage();
+    window.eval(source);
+    window.CookieConsent.init(categories ? { categories: categories } : {});
+    await window.CookieConsentTCF.init({ gvl: gvl, cmpId: 123 });
+
+    return window.CookieConsent;
+}
+
+test('legitimate interests follow the vendors\' declarations and skip consent-only purposes', async () => {
+    const consent = await createTcfPage();
+
+    consent.accept();
+
+    const decoded = TCString.decode(window.CookieConsentTCF.tcString);
+
+    assert.deepEqual(ids(decoded.purposeConsents), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    assert.deepEqual(ids(decoded.purposeLegitimateInterests), [2, 7, 10]);
+    assert.deepEqual(ids(decoded.vendorConsents), [10, 20, 30]);
+    assert.deepEqual(ids(decoded.vendorLegitimateInterests), [10, 20]);
+});
+
+test('a rejection keeps legitimate interests but gives no consent', async () => {
+    const consent = await createTcfPage();
+
+    consent.reject();
+
+    const decoded = TCString.decode(window.CookieConsentTCF.tcString);
+
+    assert.deepEqual(ids(decoded.purposeConsents), []);
+    assert.deepEqual(ids(decoded.vendorConsents), []);
+    assert.deepEqual(ids(decoded.purposeLegitimateInterests), [2, 7, 10]);
+    assert.deepEqual(ids(decoded.vendorLegitimateInterests), [10, 20]);
+});
+
+test('a vendor refused by name loses its legitimate interest', async () => {
+    const consent = await createTcfPage([
+        { id: 'necessary', label: 'Necessary', required: true },
+        { id: 'marketing', label: 'Marketing', vendors: [{ id: 'partner', tcfId: 20 }] }
+    ]);
+
+    consent.accept();
+    consent.saveConsent({ ...consent.getConsent(), vendors: { marketing: { partner: false } } });
+    window.CookieConsentTCF.update('useractioncomplete');
+
+    const decoded = TCString.decode(window.CookieConsentTCF.tcString);
+
+    assert.deepEqual(ids(decoded.purposeLegitimateInterests), [7]);
+    assert.deepEqual(ids(decoded.vendorLegitimateInterests), [10]);
+    assert.equal(decoded.vendorConsents.has(20), false);
+});
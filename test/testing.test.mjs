@@ -0,0 +1,73 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedConsent, resetConsent } from '../dist/esm/testing.js';
+import { createPage, plain, settle } from './setup.mjs';
+
+// One page for the whole file, so each test relies on resetConsent() for isolation
+const window = await createPage({ body: '<div data-cookie-consent data-cookie-consent-auto-init="false"></div>' });
+const consent = window.CookieConsent;
+
+afterEach(() => {
+    resetConsent(consent);
+});
+
+after(() => {
+    window.close();
+});
+
+test('seedConsent() before init() starts with the banner hidden', async () => {
+    const record = seedConsent(consent, ['analytics']);
+
+    consent.init();
+    await settle(window);
+
+    assert.deepEqual(plain(record.categories), ['necessary', 'analytics']);
+    assert.equal(consent.hasConsent('analytics'), true);
+    assert.equal(consent.hasConsent('marketing'), false);
+    assert.equal(consent.container.style.display, 'none');
+});
+
+test('resetConsent() removes the decision, cookies and options', () => {
+    window.document.cookie = '_ga=GA1.1.1; path=/';
+    consent.init({ cookieName: 'site_consent', variants: [{ id: 'a' }] });
+
+    assert.equal(window.sessionStorage.getItem('site_consent_variant'), 'a');
+
+    consent.accept();
+
+    resetConsent(consent);
+
+    assert.equal(window.document.cookie, '');
+    assert.equal(window.localStorage.getItem('site_consent'), null);
+    assert.equal(window.sessionStorage.getItem('site_consent_variant'), null);
+    assert.equal(consent.config.cookieName, 'cookie_consent');
+    assert.equal(consent.initialised, false);
+    assert.equal(consent.getConsent(), null);
+});
+
+test('seedConsent() after init() applies the decision straight away', () => {
+    consent.init();
+    assert.equal(consent.hasConsent('marketing'), false);
+
+    seedConsent(consent, 'all');
+
+    assert.equal(consent.hasConsent('marketing'), true);
+    assert.equal(consent.getConsent().accepted, true);
+});
+
+test('seedConsent() overrides fields of the record', () => {
+    const old = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString();
+
+    seedConsent(consent, ['analytics'], { timestamp: old, expires: old });
+    consent.init();
+
+    assert.equal(consent.getConsent(), null);
+    assert.equal(consent.container.style.display, 'block');
+});
+
+test('seedConsent() with no categories records a rejection', () => {
+    const record = seedConsent(consent, []);
+
+    assert.equal(record.accepted, false);
+    assert.deepEqual(plain(record.categories), ['necessary']);
+});
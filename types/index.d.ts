@@ -0,0 +1,333 @@
+/**
+ * Cookie Consent Library - TypeScript declarations
+ */
+
+export type ConsentModel = 'opt-in' | 'opt-out' | 'notice';
+
+export type StorageType = 'cookie' | 'localStorage' | 'sessionStorage';
+
+export type Position = 'top-left' | 'top-center' | 'top-right' | 'bottom-left' | 'bottom-center' | 'bottom-right' | 'center';
+
+export type Animation = 'slide' | 'fade' | 'scale' | 'none';
+
+export type Width = 'full' | 'half' | 'third' | 'quarter' | 'auto';
+
+/** A cookie or web storage key owned by a category or vendor */
+export interface CookieDeclaration {
+    name: string | RegExp;
+    type?: StorageType;
+    provider?: string;
+    purpose?: string;
+    duration?: string;
+}
+
+export interface Vendor {
+    id: string;
+    name?: string;
+    description?: string;
+    default?: boolean;
+    tcfId?: number;
+    cookies?: CookieDeclaration[];
+}
+
+export interface Category {
+    id: string;
+    label?: string;
+    description?: string;
+    required?: boolean;
+    default?: boolean;
+    cookies?: CookieDeclaration[];
+    vendors?: Vendor[];
+}
+
+/** A category from getCategories(), with defaults filled in */
+export interface ResolvedCategory extends Category {
+    label: string;
+    description: string;
+    required: boolean;
+    default: boolean;
+    cookies: CookieDeclaration[];
+    vendors: Vendor[];
+}
+
+/** A pattern for the cookie scanner */
+export interface TrackerPattern extends CookieDeclaration {
+    category: string;
+}
+
+export interface CrossDomainOptions {
+    hubUrl: string;
+    timeout?: number;
+}
+
+export interface TemplateContext {
+    t(key: string): string;
+    escape(value: unknown): string;
+    categories: ResolvedCategory[];
+    config: CookieConsentConfig;
+    model: ConsentModel;
+    language: string;
+    dir: 'ltr' | 'rtl';
+}
+
+/** A banner variant for A/B testing */
+export interface BannerVariant {
+    id: string;
+    weight?: number;
+    position?: Position;
+    animation?: Animation;
+    width?: Width;
+    translations?: Record<string, Record<string, string>>;
+}
+
+/** What analyticsEndpoint receives for each impression and decision */
+export interface AnalyticsReport {
+    event: 'banner-shown' | 'consent-given' | 'consent-rejected' | 'consent-opted-out' | 'consent-revoked';
+    variant: string | null;
+    timeToDecision: number | null;
+    categories: string[] | null;
+    consentModel: ConsentModel;
+    timestamp: string;
+}
+
+export type Template = string | ((this: CookieConsentInstance, context: TemplateContext) => string | Node);
+
+export interface CookieConsentConfig {
+    cookieName: string;
+    cookieExpiry: number;
+    cookieDomain: string | null;
+    cookiePath: string;
+    cookieSameSite: 'Strict' | 'Lax' | 'None';
+    cookieSecure: boolean;
+    crossDomain: CrossDomainOptions | null;
+    revision: number | string;
+    consentMaxAge: { accepted: number; rejected: number };
+    localStorageFallback: boolean;
+    containerSelector: string;
+    acceptClass: string;
+    acceptAllClass: string;
+    rejectClass: string;
+    settingsClass: string;
+    closeClass: string;
+    showSettingsClass: string;
+    viewCookiesClass: string;
+    categoryCheckboxClass: string;
+    vendorCheckboxClass: string;
+    vendorListClass: string;
+    inlineCookiesClass: string;
+    categoryAttribute: string;
+    categories: Category[];
+    /** Part of the page to gate; defaults to the document for the global instance and the container for others */
+    root: Document | Element | string | null;
+    observeElements: boolean;
+    autoClearCookies: boolean;
+    consentMode: boolean;
+    consentModeMapping: Record<string, string | string[]>;
+    consentModeWaitForUpdate: number;
+    dataLayerName: string;
+    dataLayerEvent: string;
+    consentLogEndpoint: string | null;
+    consentLogHeaders: Record<string, string>;
+    consentLogQueueLimit: number;
+    variant: string | null;
+    variants: BannerVariant[];
+    analyticsEndpoint: string | ((this: CookieConsentInstance, report: AnalyticsReport) => void) | null;
+    respectGpc: boolean;
+    respectDnt: boolean;
+    privacySignalCategories: string[];
+    privacySignalMode: 'silent' | 'notice';
+    privacySignalNoticeSelector: string;
+    jurisdiction: string | 'auto' | ((this: CookieConsentInstance) => string | null) | null;
+    consentModels: Record<string, ConsentModel>;
+    saleCategories: string[];
+    doNotSellClass: string;
+    language: string | null;
+    translations: Record<string, Record<string, string>>;
+    closeOnEscape: boolean;
+    render: boolean;
+    position: Position | null;
+    animation: Animation | null;
+    width: Width | null;
+    templates: {
+        banner?: Template;
+        preferences?: Template;
+        settingsLink?: Template;
+    };
+    settingsLinkSelector: string;
+    trackerPatterns: TrackerPattern[];
+    scanOnInit: boolean;
+    debug: boolean;
+}
+
+export type CookieConsentOptions = Partial<CookieConsentConfig>;
+
+/** The stored consent record */
+export interface ConsentRecord {
+    id: string;
+    accepted: boolean;
+    categories: string[];
+    timestamp: string;
+    expires: string;
+    revision: number | string;
+    knownCategories: string[];
+    /** Vendor choices keyed by category id, then vendor id */
+    vendors: Record<string, Record<string, boolean>>;
+    source: 'user' | 'gpc' | 'dnt';
+    privacySignal: 'gpc' | 'dnt' | null;
+    variant?: string | null;
+}
+
+export interface CookieInfo {
+    name: string;
+    value: string;
+}
+
+export interface ScanItem {
+    name: string;
+    type: StorageType;
+    category: string | null;
+    vendor: string | null;
+    provider: string | null;
+    purpose: string | null;
+    duration: string | null;
+    declared: boolean;
+    known: boolean;
+    allowed?: boolean | null;
+}
+
+export interface ScanResult {
+    items: ScanItem[];
+    undeclared: ScanItem[];
+    withoutConsent: ScanItem[];
+}
+
+export interface RemovedItem {
+    name: string;
+    type: StorageType;
+    category: string;
+    vendor?: string;
+}
+
+export interface ConsentReceipt {
+    consentId: string;
+    action: 'accept' | 'reject' | 'opt-out' | 'revoke' | 'privacy-signal';
+    accepted: boolean;
+    categories: string[];
+    revision: number | string;
+    timestamp: string;
+    source: ConsentRecord['source'];
+    userAgent: string;
+    variant: string | null;
+    timeToDecision: number | null;
+    url: string;
+}
+
+export type RepromptReason =
+    | { reason: 'revision'; revision: number | string; previousRevision: number | string; consent: ConsentRecord }
+    | { reason: 'new-categories'; newCategories: string[]; consent: ConsentRecord };
+
+/** Event names, without the cookieConsent: prefix, mapped to their event.detail */
+export interface CookieConsentEventDetails {
+    'consent-given': ConsentRecord;
+    'consent-rejected': ConsentRecord;
+    'consent-opted-out': ConsentRecord;
+    'consent-revoked': {};
+    'consent-expired': { consent: ConsentRecord };
+    'consent-reprompt': RepromptReason;
+    'consent-synced': { consent: ConsentRecord };
+    'consent-changed': { consent: ConsentRecord | null; source: 'tab' | 'hub' };
+    'consent-invalid': { value: string };
+    'consent-logged': { receipt: ConsentReceipt };
+    'consent-log-refused': { receipt: ConsentReceipt; status: number };
+    'privacy-signal': { signal: 'gpc' | 'dnt'; categories: string[]; consent: ConsentRecord };
+    'banner-shown': {};
+    'banner-hidden': {};
+    'cookies-viewed': { cookies: CookieInfo[] };
+    'cookies-cleared': { removed: RemovedItem[] };
+    'cookies-scanned': ScanResult;
+    'element-activated': { element: Element; categories: string[]; vendor: string | null };
+    'language-changed': { language: string; dir: 'ltr' | 'rtl' };
+}
+
+/** Added to the detail of every event */
+export interface CookieConsentEventContext {
+    variant: string | null;
+    timeToDecision: number | null;
+}
+
+export type CookieConsentEventMap = {
+    [Name in keyof CookieConsentEventDetails as `cookieConsent:${Name}`]: CustomEvent<CookieConsentEventDetails[Name] & CookieConsentEventContext>;
+};
+
+export interface WhenGrantedPromise extends Promise<ConsentRecord | null> {
+    unsubscribe(): void;
+}
+
+export interface CookieConsentInstance {
+    config: CookieConsentConfig;
+    container: HTMLElement | null;
+    ready: Promise<ConsentRecord | null>;
+
+    init(options?: CookieConsentOptions): void;
+    create(options?: CookieConsentOptions): CookieConsentInstance;
+    instantiate(options?: CookieConsentOptions): CookieConsentInstance;
+    destroy(): void;
+
+    accept(): void;
+    acceptAll(): void;
+    reject(): void;
+    optOut(): void;
+    revoke(): void;
+
+    getConsent(): ConsentRecord | null;
+    hasConsent(category: string, vendor?: string): boolean;
+    getConsentId(): string | null;
+    getVariant(): BannerVariant | null;
+    getTimeToDecision(): number | null;
+    log(step: string, message: string, data?: unknown): void;
+    needsConsent(): boolean;
+    onChange(category: string, callback: (granted: boolean, consent: ConsentRecord | null) => void): () => void;
+    whenGranted(category: string): WhenGrantedPromise;
+
+    getCategories(): ResolvedCategory[];
+    getCategory(id: string): ResolvedCategory | null;
+    getConsentModel(): ConsentModel;
+    getJurisdiction(): string;
+
+    show(): void;
+    hide(): void;
+    showPreferences(): void;
+    viewCookies(): CookieInfo[];
+    activateElements(root?: ParentNode): Element[];
+    getRoot(): Document | Element | null;
+    clearCategory(id: string): RemovedItem[];
+    scan(): ScanResult;
+    classifyCookie(name: string, type?: StorageType): ScanItem;
+
+    setLanguage(language: string): void;
+    getLanguage(): string;
+    getDirection(): 'ltr' | 'rtl';
+    t(key: string): string;
+
+    parseCookies(cookieString: string | null | undefined): Record<string, string>;
+    serializeCookie(name: string, value: string, days: number): string;
+    serializeConsent(consent: ConsentRecord): string;
+    parseConsent(value: string | null | undefined): ConsentRecord | null;
+    validateConsent(consent: unknown): ConsentRecord | null;
+
+    initConsentMode(options?: CookieConsentOptions): void;
+    flushConsentLog(useBeacon?: boolean): Promise<boolean>;
+}
+
+declare const CookieConsent: CookieConsentInstance;
+
+export { CookieConsent };
+export default CookieConsent;
+
+declare global {
+    interface Window {
+        CookieConsent: CookieConsentInstance;
+    }
+
+    interface DocumentEventMap extends CookieConsentEventMap {}
+}
@@ -0,0 +1,14 @@
+import type { ReactNode, ReactElement } from 'react';
+import type { CookieConsentInstance } from './index';
+
+export function useConsent(category: string, instance?: CookieConsentInstance, initial?: boolean): boolean;
+
+export interface ConsentGateProps {
+    category: string;
+    instance?: CookieConsentInstance;
+    initial?: boolean;
+    fallback?: ReactNode;
+    children?: ReactNode;
+}
+
+export function ConsentGate(props: ConsentGateProps): ReactElement;
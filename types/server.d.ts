@@ -0,0 +1,21 @@
+import type { ConsentRecord, CookieConsentInstance, CookieConsentOptions } from './index';
+
+export interface ServerConsentOptions extends CookieConsentOptions {
+    /** Whether the request carried a Sec-GPC: 1 header; honoured when respectGpc is on */
+    gpc?: boolean;
+}
+
+export interface ConsentDecision {
+    categories?: string[] | 'all';
+    vendors?: Record<string, Record<string, boolean>>;
+}
+
+export function parseCookieHeader(header: string | null | undefined): Record<string, string>;
+
+export function readConsent(cookieHeader: string | null | undefined, options?: ServerConsentOptions): CookieConsentInstance;
+
+export function hasConsent(cookieHeader: string | null | undefined, category: string, vendor?: string, options?: ServerConsentOptions): boolean;
+
+export function createConsentCookie(decision: ConsentDecision, options?: ServerConsentOptions): { consent: ConsentRecord; header: string };
+
+export function clearConsentCookie(options?: ServerConsentOptions): string;
@@ -0,0 +1,5 @@
+import type { ConsentRecord, CookieConsentInstance } from './index';
+
+export function seedConsent(instance: CookieConsentInstance, categories: string[] | 'all', overrides?: Partial<ConsentRecord>): ConsentRecord;
+
+export function resetConsent(instance: CookieConsentInstance): void;
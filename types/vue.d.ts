@@ -0,0 +1,4 @@
+import type { Ref } from 'vue';
+import type { CookieConsentInstance } from './index';
+
+export function useConsent(category: string, instance?: CookieConsentInstance, initial?: boolean): Readonly<Ref<boolean>>;